@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const { parseArgs } = require('util');
+const { CSSToTailwindConverter, BREAKPOINTS, BREAKPOINT_NAME, CLASS_MERGES, DARK_MODES, OUTPUT_FORMATS, TARGETS } = require('../converter');
+const { ProjectConverter } = require('../lib/project');
+const { ConversionWatcher } = require('../lib/watch');
+const { ReviewServer } = require('../lib/review');
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_CONVERSION_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_INPUT_NOT_FOUND = 3;
+
+const USAGE = `Usage: css-to-tailwind <page.html> [style.css ...] [options]
+       css-to-tailwind --project <dir|glob> [style.css ...] [options]
+       css-to-tailwind review <page.html> [style.css ...] [options]
+
+The page's local <link>ed stylesheets, <style> blocks and style attributes are converted
+along with any stylesheets given; remote stylesheets stay linked. review converts the page,
+then serves it next to the original at http://127.0.0.1:<port>/, where each element's
+classes can be accepted, edited or pinned; decisions go to the overrides file.
+
+Options:
+  -p, --project <dir|glob>  Convert every HTML page in a directory or matching a glob,
+                            writing one folder per page and a project-report.json
+  -o, --out <dir>           Output directory (default: ./tailwind-output)
+  -b, --breakpoints <list>  Comma-separated breakpoints to capture besides the default,
+                            by name (${Object.keys(BREAKPOINTS).filter(b => b !== 'default').join(',')})
+                            or as name=width (e.g. tablet=900). Default: all
+      --keep-json           Keep intermediate JSON files in <out>/json
+      --logs                Write a debug log to logs/
+      --target <version>    Tailwind version the classes and output are written for: v4
+                            (default) or v3 (tailwind.config.js and the v3 Play CDN)
+      --tailwind-config     Also write a tailwind.config.js for the theme (always with v3)
+  -t, --tailwind <mode>     How the page gets Tailwind: cdn (browser build script, default),
+                            link (compile used classes to <out>/tailwind.css) or inline;
+                            link and inline need --target v4
+      --no-theme            Leave the extracted @theme out of compiled CSS
+      --no-minify           Don't minify compiled CSS
+      --no-residual         Don't write residual.css for rules that have no utility classes
+      --bundle-residual     Compile residual CSS into the link/inline output instead
+      --exact               Keep authored values instead of snapping them to Tailwind's scales
+      --snap-px <n>         Max px a spacing, font-size or radius value may move (default: 1)
+      --snap-delta-e <n>    Max color difference (CIE76 ΔE) a color may move (default: 2)
+      --no-consolidate      Keep classes as converted: no shorthand merging, dedupe or sorting
+      --components          Turn class lists repeated on several elements into @apply components
+      --component-min <n>   Elements that must share a class list for a component (default: 3)
+      --class-merge <mode>  What happens to the original class names: replace (drop them),
+                            append (keep them all) or js (keep those scripts use, default)
+      --keep-class <list>   Comma-separated class names or globs (swiper-*) always kept
+      --external-styles <list>
+                            Comma-separated style sources left in the page unconverted: hrefs
+                            or globs (bootstrap*), style:N for the Nth <style> block, or inline
+  -f, --format <format>     Also write the page as jsx, vue (a single-file component) or patch
+                            (the source with only its class attributes rewritten). Default: html
+      --in-place            Rewrite the class attributes of <page.html> itself
+      --dark-mode <mode>    What dark: follows: media (prefers-color-scheme, default) or
+                            class (a .dark class on <html>)
+      --no-media-emulation  Skip the dark, motion-reduce, contrast-more and print passes
+      --concurrency <n>     Breakpoints captured at once in parallel browser contexts (default: 3)
+      --batch-size <n>      CDP requests sent together while resolving rules (default: 50)
+      --benchmark           Print how long each phase and breakpoint took
+      --cache               Reuse unchanged breakpoints, elements and translations from <out>/cache
+      --watch               Convert again whenever the input files change (implies --cache) and
+                            list the elements whose classes changed
+      --overrides <file>    Classes accepted, edited or pinned in review, applied to this run
+                            (default: <out>/overrides.json, when it exists)
+      --port <n>            Port the review server listens on (default: 4173)
+      --verify              Screenshot original and converted pages at each breakpoint and
+                            write pixel diffs and diverging styles to <out>/verify (v4 only)
+  -h, --help                Show this help
+
+Exit codes:
+  0  conversion succeeded
+  1  conversion failed
+  2  invalid arguments
+  3  an input file could not be read`;
+
+const TAILWIND_OUTPUTS = ['cdn', 'link', 'inline'];
+
+class UsageError extends Error {}
+
+function parseBreakpoints(list) {
+    const names = list.split(',').map(item => item.trim()).filter(Boolean);
+    const custom = names.some(name => name.includes('='));
+
+    if (!custom) {
+        for (const name of names) {
+            if (!BREAKPOINTS[name]) {
+                throw new UsageError(`Unknown breakpoint "${name}"`);
+            }
+        }
+        return names;
+    }
+
+    const breakpoints = {};
+    for (const item of names) {
+        const [name, width] = item.split('=');
+        if (!BREAKPOINT_NAME.test(name)) {
+            throw new UsageError(`Invalid breakpoint name in "${item}" (expected a letter, then letters, digits, - or _)`);
+        }
+        if (width === undefined) {
+            if (!BREAKPOINTS[name]) {
+                throw new UsageError(`Unknown breakpoint "${name}"`);
+            }
+            breakpoints[name] = BREAKPOINTS[name];
+        } else if (/^\d+$/.test(width)) {
+            breakpoints[name] = { width: Number(width), height: 800 };
+        } else {
+            throw new UsageError(`Invalid breakpoint width in "${item}"`);
+        }
+    }
+    return breakpoints;
+}
+
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                out: { type: 'string', short: 'o', default: 'tailwind-output' },
+                project: { type: 'string', short: 'p' },
+                breakpoints: { type: 'string', short: 'b' },
+                'keep-json': { type: 'boolean', default: false },
+                logs: { type: 'boolean', default: false },
+                target: { type: 'string', default: 'v4' },
+                'tailwind-config': { type: 'boolean', default: false },
+                tailwind: { type: 'string', short: 't', default: 'cdn' },
+                'no-theme': { type: 'boolean', default: false },
+                'no-minify': { type: 'boolean', default: false },
+                'no-residual': { type: 'boolean', default: false },
+                'bundle-residual': { type: 'boolean', default: false },
+                exact: { type: 'boolean', default: false },
+                'snap-px': { type: 'string' },
+                'snap-delta-e': { type: 'string' },
+                'no-consolidate': { type: 'boolean', default: false },
+                components: { type: 'boolean', default: false },
+                'component-min': { type: 'string', default: '3' },
+                'class-merge': { type: 'string', default: 'js' },
+                'keep-class': { type: 'string' },
+                'external-styles': { type: 'string' },
+                format: { type: 'string', short: 'f', default: 'html' },
+                'in-place': { type: 'boolean', default: false },
+                'dark-mode': { type: 'string', default: 'media' },
+                'no-media-emulation': { type: 'boolean', default: false },
+                concurrency: { type: 'string', default: '3' },
+                'batch-size': { type: 'string', default: '50' },
+                benchmark: { type: 'boolean', default: false },
+                cache: { type: 'boolean', default: false },
+                watch: { type: 'boolean', default: false },
+                verify: { type: 'boolean', default: false },
+                overrides: { type: 'string' },
+                port: { type: 'string', default: '4173' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+
+    const { values } = parsed;
+    if (values.help) {
+        return null;
+    }
+    // review is a command, not a page
+    const review = parsed.positionals[0] === 'review';
+    const positionals = review ? parsed.positionals.slice(1) : parsed.positionals;
+
+    // In project mode every positional is a stylesheet
+    const [htmlPath, ...cssPaths] = values.project ? [null, ...positionals] : positionals;
+    if (!TAILWIND_OUTPUTS.includes(values.tailwind)) {
+        throw new UsageError(`Unknown --tailwind mode "${values.tailwind}" (expected ${TAILWIND_OUTPUTS.join(', ')})`);
+    }
+    if (!TARGETS.includes(values.target)) {
+        throw new UsageError(`Unknown --target "${values.target}" (expected ${TARGETS.join(', ')})`);
+    }
+    if (values.target === 'v3' && values.tailwind !== 'cdn') {
+        throw new UsageError(`--tailwind ${values.tailwind} compiles with Tailwind v4; --target v3 only supports cdn`);
+    }
+    if (values.target === 'v3' && values.verify) {
+        throw new UsageError('--verify renders with the installed Tailwind v4 runtime; --target v3 can\'t be verified offline');
+    }
+    for (const flag of ['snap-px', 'snap-delta-e']) {
+        if (values[flag] === undefined) {
+            continue;
+        }
+        if (values.exact) {
+            throw new UsageError(`--${flag} is a snapping tolerance; --exact turns snapping off`);
+        }
+        if (!/^\d+(\.\d+)?$/.test(values[flag])) {
+            throw new UsageError(`Invalid --${flag} "${values[flag]}" (expected a non-negative number)`);
+        }
+    }
+    if (!CLASS_MERGES.includes(values['class-merge'])) {
+        throw new UsageError(`Unknown --class-merge mode "${values['class-merge']}" (expected ${CLASS_MERGES.join(', ')})`);
+    }
+    if (!OUTPUT_FORMATS.includes(values.format)) {
+        throw new UsageError(`Unknown --format "${values.format}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+    }
+    if (!DARK_MODES.includes(values['dark-mode'])) {
+        throw new UsageError(`Unknown --dark-mode "${values['dark-mode']}" (expected ${DARK_MODES.join(', ')})`);
+    }
+    if (values.watch && values.project) {
+        throw new UsageError('--watch follows a single page; it can\'t be combined with --project');
+    }
+    if (review && (values.project || values.watch || values['in-place'])) {
+        throw new UsageError('review follows a single page; it can\'t be combined with --project, --watch or --in-place');
+    }
+    if (!/^\d+$/.test(values.port) || Number(values.port) > 65535) {
+        throw new UsageError(`Invalid --port "${values.port}" (expected 0-65535)`);
+    }
+    if (values['in-place'] && values.project) {
+        throw new UsageError('--in-place patches a single page; it can\'t be combined with --project');
+    }
+    for (const flag of ['component-min', 'concurrency', 'batch-size']) {
+        if (!/^[1-9]\d*$/.test(values[flag])) {
+            throw new UsageError(`Invalid --${flag} "${values[flag]}" (expected a positive integer)`);
+        }
+    }
+    if (!values.project && !htmlPath) {
+        throw new UsageError('Expected an HTML file');
+    }
+
+    const options = {
+        htmlPath,
+        pages: values.project || null,
+        cssPaths,
+        outputDir: values.out,
+        keepIntermediate: values['keep-json'],
+        logs: values.logs,
+        target: values.target,
+        tailwindConfig: values['tailwind-config'],
+        tailwindOutput: values.tailwind,
+        includeTheme: !values['no-theme'],
+        minify: !values['no-minify'],
+        residual: !values['no-residual'],
+        bundleResidual: values['bundle-residual'],
+        exact: values.exact,
+        consolidate: !values['no-consolidate'],
+        components: values.components,
+        componentMinCount: Number(values['component-min']),
+        classMerge: values['class-merge'],
+        format: values.format,
+        inPlace: values['in-place'],
+        keepClasses: (values['keep-class'] || '').split(',').map(name => name.trim()).filter(Boolean),
+        externalStyles: (values['external-styles'] || '').split(',').map(name => name.trim()).filter(Boolean),
+        emulateMedia: !values['no-media-emulation'],
+        darkMode: values['dark-mode'],
+        concurrency: Number(values.concurrency),
+        batchSize: Number(values['batch-size']),
+        benchmark: values.benchmark,
+        cache: values.cache || values.watch,
+        watch: values.watch,
+        review,
+        overrides: values.overrides || null,
+        port: Number(values.port),
+        verify: values.verify
+    };
+    if (values.breakpoints) {
+        options.breakpoints = parseBreakpoints(values.breakpoints);
+    }
+    if (values['snap-px'] !== undefined) {
+        options.snapPx = Number(values['snap-px']);
+    }
+    if (values['snap-delta-e'] !== undefined) {
+        options.snapDeltaE = Number(values['snap-delta-e']);
+    }
+
+    return options;
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseCommandLine(argv);
+    } catch (err) {
+        if (err instanceof UsageError) {
+            console.error(`Error: ${err.message}\n\n${USAGE}`);
+            return EXIT_USAGE;
+        }
+        throw err;
+    }
+
+    if (!options) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+
+    for (const inputPath of [options.htmlPath, ...options.cssPaths].filter(Boolean)) {
+        try {
+            await fs.access(inputPath);
+        } catch {
+            console.error(`Error: cannot read input file ${inputPath}`);
+            return EXIT_INPUT_NOT_FOUND;
+        }
+    }
+
+    if (options.pages) {
+        try {
+            const project = new ProjectConverter(options);
+            await project.run();
+            return EXIT_OK;
+        } catch (err) {
+            console.error('❌ Error during project conversion:', err);
+            return EXIT_CONVERSION_FAILED;
+        }
+    }
+
+    if (options.review) {
+        // Keeps the process alive until interrupted
+        try {
+            await new ReviewServer(options).start();
+            return EXIT_OK;
+        } catch (err) {
+            if (err.code === 'EADDRINUSE') {
+                console.error(`Error: port ${options.port} is in use; pick another with --port`);
+            } else if (err.code) {
+                console.error(`Error: could not start the review server: ${err.message}`);
+            }
+            // Otherwise run() has already reported the error
+            return EXIT_CONVERSION_FAILED;
+        }
+    }
+
+    if (options.watch) {
+        // Keeps the process alive until interrupted
+        await new ConversionWatcher(options).start();
+        return EXIT_OK;
+    }
+
+    try {
+        const converter = new CSSToTailwindConverter(options);
+        await converter.run();
+        return EXIT_OK;
+    } catch {
+        // run() has already reported the error
+        return EXIT_CONVERSION_FAILED;
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, err => {
+    console.error(err);
+    process.exitCode = EXIT_CONVERSION_FAILED;
+});
@@ -1,23 +1,313 @@
 const fs = require('fs').promises;
 const path = require('path');
+const postcss = require('postcss');
 const { chromium } = require('playwright');
-const CleanCSS = require('clean-css');
-const { expand: expandShorthand } = require('inline-style-expand-shorthand');
+const { ThemeExtractor } = require('./lib/theme');
+const { VisualVerifier } = require('./lib/verify');
+const { TailwindCompiler } = require('./lib/tailwind');
+const { ResidualExtractor } = require('./lib/residual');
+const { SelectorRelations } = require('./lib/relations');
+const { PROPERTY_UTILITIES } = require('./lib/utilities');
+const { ValueSnapper } = require('./lib/snap');
+const { ClassConsolidator } = require('./lib/consolidate');
+const { MarkupWriter, OUTPUT_FORMATS } = require('./lib/writers');
+const { StyleCache } = require('./lib/cache');
+const { ClassOverrides } = require('./lib/overrides');
+const { CSSPreprocessor, expandDeclaration } = require('./lib/preprocess');
+const { StyleSources, localPath } = require('./lib/styles');
+const { TailwindDialect, TARGETS } = require('./lib/dialects');
 
-// Tailwind breakpoints configuration
+// Tailwind breakpoints configuration (mobile-first, ascending min-width)
+// Each breakpoint is captured at its own min-width; 'default' is a phone-sized viewport
 const BREAKPOINTS = {
-    'default': { width: 1280, height: 800 }  // Desktop
+    'default': { width: 375, height: 800 },
+    'sm': { width: 640, height: 800 },
+    'md': { width: 768, height: 800 },
+    'lg': { width: 1024, height: 800 },
+    'xl': { width: 1280, height: 800 },
+    '2xl': { width: 1536, height: 800 }
 };
 
+// Custom breakpoint names become variant prefixes (tablet:), so they must be usable as one
+const BREAKPOINT_NAME = /^[a-z][\w-]*$/i;
+
+// Interactive states emitted as Tailwind variants. `forced` states go through
+// CSS.forcePseudoState; `toggle` states flip the matching DOM property instead.
+const PSEUDO_STATES = {
+    'hover': { forced: 'hover' },
+    'focus': { forced: 'focus' },
+    'focus-visible': { forced: 'focus-visible' },
+    'active': { forced: 'active' },
+    'disabled': { toggle: 'disabled' },
+    'checked': { toggle: 'checked' }
+};
+
+// States capture can put on the element another one's selector depends on: :focus-within
+// only ever styles descendants (group-focus-within:), so it isn't one of the element's own
+const RELATION_STATES = {
+    ...PSEUDO_STATES,
+    'focus-within': { forced: 'focus-within' }
+};
+
+// Properties that inherit by default; their value may come from an ancestor's rule
+const INHERITED_PROPERTIES = new Set([
+    'color', 'cursor', 'direction', 'visibility', 'white-space', 'word-break', 'word-spacing',
+    'overflow-wrap', 'word-wrap', 'hyphens', 'tab-size', 'quotes',
+    'font-family', 'font-size', 'font-style', 'font-variant', 'font-weight', 'font-stretch',
+    'font-feature-settings', 'font-kerning', 'font-variant-numeric', 'font-variant-ligatures',
+    'font-size-adjust', 'font-synthesis', 'line-height', 'letter-spacing',
+    'text-align', 'text-align-last', 'text-indent', 'text-transform', 'text-shadow',
+    'text-rendering', 'text-underline-position', 'text-wrap', 'text-decoration-skip-ink',
+    '-webkit-font-smoothing', '-webkit-text-fill-color', '-webkit-text-stroke-color',
+    '-webkit-text-stroke-width', 'list-style-type', 'list-style-position', 'list-style-image',
+    'border-collapse', 'border-spacing', 'caption-side', 'empty-cells',
+    'caret-color', 'accent-color', 'color-scheme', 'pointer-events', 'writing-mode'
+]);
+
+// Pseudo-elements (CDP pseudoType) mapped to their Tailwind variant
+const PSEUDO_ELEMENTS = {
+    'before': 'before',
+    'after': 'after',
+    'placeholder': 'placeholder',
+    'marker': 'marker',
+    'selection': 'selection',
+    'first-line': 'first-line',
+    'first-letter': 'first-letter',
+    'backdrop': 'backdrop',
+    'file-selector-button': 'file'
+};
+
+// Media features captured in extra passes with Emulation.setEmulatedMedia. What changes under
+// a feature becomes its variant; values that only held without it move to `negated`.
+// `feature` matches the part of a media query the pass resolves
+const MEDIA_VARIANTS = {
+    'dark': {
+        features: [{ name: 'prefers-color-scheme', value: 'dark' }],
+        negated: 'not-dark',
+        feature: /\(\s*prefers-color-scheme\s*:\s*dark\s*\)/gi
+    },
+    'motion-reduce': {
+        features: [{ name: 'prefers-reduced-motion', value: 'reduce' }],
+        negated: 'motion-safe',
+        feature: /\(\s*prefers-reduced-motion(\s*:\s*(reduce|no-preference))?\s*\)/gi
+    },
+    'contrast-more': {
+        features: [{ name: 'prefers-contrast', value: 'more' }],
+        negated: 'not-contrast-more',
+        feature: /\(\s*prefers-contrast\s*:\s*more\s*\)/gi
+    },
+    'print': {
+        media: 'print',
+        negated: 'not-print',
+        feature: /\bprint\b/gi
+    }
+};
+
+// How dark: is triggered: the prefers-color-scheme media feature, or a .dark class on <html>
+const DARK_MODES = ['media', 'class'];
+
+// How original class names are merged with the generated utilities
+const CLASS_MERGES = ['replace', 'append', 'js'];
+
+// Elements whose computed styles one in-page sweep returns; bounds the size of each reply
+const COMPUTED_STYLE_BATCH = 250;
+
+// Media query max-width values this close below a breakpoint (e.g. 767.98px) still line up with it
+const MAX_WIDTH_TOLERANCE = 1;
+
 class CSSToTailwindConverter {
-    constructor() {
-        this.cssContent = '';
+    constructor(options = {}) {
+        this.options = {
+            htmlPath: null, // Only needed by run(); convert() takes the HTML directly
+            cssPaths: [], // Stylesheets to convert besides those the page links or embeds
+            externalStyles: [], // Style sources (hrefs, style:N, inline or globs) left in the page unconverted
+            outputDir: null, // When set, results and intermediate files are written here
+            breakpoints: Object.keys(BREAKPOINTS), // Names from BREAKPOINTS, or { name: { width, height } }
+            keepIntermediate: true, // Keep the per-stage JSON files in <outputDir>/json
+            browser: null, // Playwright browser to reuse instead of launching one
+            logs: false, // Write a timestamped debug log to logs/
+            quiet: false, // Suppress progress output on the console
+            target: 'v4', // Tailwind version the classes and output are written for: 'v4' or 'v3'
+            tailwindConfig: false, // Also write a tailwind.config.js for the theme (always written for v3)
+            tailwindOutput: 'cdn', // 'cdn' script, compiled 'link'ed tailwind.css, or 'inline' <style>
+            includeTheme: true, // Include the extracted @theme in the Tailwind output
+            minify: true, // Minify the compiled stylesheet
+            residual: true, // Keep rules with no utility equivalent in residual.css
+            bundleResidual: false, // Compile residual CSS into the link/inline output instead of linking residual.css
+            hookPrefix: 'css-', // Prefix of the hook classes residual.css targets
+            exact: false, // Keep authored values as they are instead of snapping them to Tailwind's scales
+            snapPx: 1, // Max px a spacing, font-size or radius value may move when snapped
+            snapDeltaE: 2, // Max ΔE (CIE76) a color may move when snapped
+            consolidate: true, // Merge longhands into shorthands, drop redundant classes and sort
+            components: false, // Turn class lists repeated on several elements into @apply components
+            componentMinCount: 3, // Elements that must share a class list before it becomes a component
+            classMerge: 'js', // Original class names: 'replace' drops them, 'append' keeps them all, 'js' keeps those scripts reference
+            keepClasses: [], // Original class names (or globs like swiper-*) kept whatever classMerge says
+            format: 'html', // Also write the page as 'jsx', a 'vue' component, or the 'patch'ed original source
+            inPlace: false, // Patch the class attributes of htmlPath itself (implies format 'patch')
+            componentName: null, // JSX/Vue component name; derived from htmlPath when not set
+            emulateMedia: true, // Capture dark mode, reduced motion, high contrast and print in extra passes
+            darkMode: 'media', // 'media' follows prefers-color-scheme; 'class' follows a .dark class on <html>
+            concurrency: 3, // Breakpoints captured at once, each in its own browser context
+            batchSize: 50, // CDP requests sent together before waiting for their answers
+            benchmark: false, // Report how long each phase took
+            cache: false, // Reuse unchanged breakpoints, elements and translations from <outputDir>/cache
+            overrides: null, // Classes accepted, edited or pinned in review; <outputDir>/overrides.json when not set
+            verify: false, // Compare the converted page against the original after conversion
+            ...options
+        };
+        this.breakpoints = this.resolveBreakpoints(this.options.breakpoints);
+        if (this.options.target === 'v3' && this.options.tailwindOutput !== 'cdn') {
+            // The installed compiler is v4; a v3 build is the app's, from tailwind.config.js
+            throw new Error(`tailwindOutput "${this.options.tailwindOutput}" compiles with Tailwind v4; target v3 only supports cdn`);
+        }
+        if (this.options.target === 'v3' && this.options.verify) {
+            // Only the v4 runtime is installed; rendering v3 output would depend on the Play CDN
+            throw new Error('verify compares against the installed Tailwind v4 runtime; target v3 can\'t be verified offline');
+        }
+        this.jsonDir = null;
+        this.stages = {}; // Per-breakpoint results handed from one phase to the next
+        this.diagnostics = { warnings: [], css: [], mediaQueries: [], relations: [], snaps: [], overrides: [], timings: [] };
+        this.cssContent = ''; // The converted stylesheets, in cascade order
+        this.givenCSS = []; // Contents of options.cssPaths
+        this.cssSourceLines = []; // { name, line } where each converted stylesheet starts in cssContent
+        this.styleSources = null;
+        this.passPages = {}; // The page each capture pass loads, see preparePassPages()
         this.htmlContent = '';
+        this.trackedHTML = ''; // The converted page with its element ids, for verification and review
         this.processedCSS = '';
         this.elementCount = 0;
         this.CssToTailwindTranslator = null;
         this.logStream = null;
         this.logFile = null;
+        this.styleSheetHeaders = {};
+        this.elementParents = {};
+        this.elementTags = {};
+        this.elementKeys = {}; // element-id-N -> hash of its markup and rules, see hashElements()
+        this.elementStartTags = {}; // element-id-N -> its start tag, which review decisions are tied to
+        this.sourceHTML = '';
+        this.sourceLocations = {}; // element-id-N -> where its start tag, class and style attributes sit in sourceHTML
+        this.theme = new ThemeExtractor();
+        this.residual = null;
+        this.relations = null; // Selectors styling an element by another one's state, see analyzeRelations()
+        this.translationCache = new Map();
+        this.utilityProperties = null; // Tailwind's design system, to check which properties a translated class sets
+        this.cache = this.options.cache && this.options.outputDir ? new StyleCache({ dir: this.outputPath('cache') }) : null;
+        this.overrides = new ClassOverrides({
+            file: this.options.overrides || (this.options.outputDir ? this.outputPath('overrides.json') : null)
+        });
+        this.dialect = new TailwindDialect({ target: this.options.target, darkMode: this.options.darkMode });
+        this.snapper = this.options.exact ? null : new ValueSnapper({
+            pxTolerance: this.options.snapPx,
+            deltaETolerance: this.options.snapDeltaE,
+            colors: this.options.target !== 'v3',
+            dialect: this.dialect
+        });
+        this.mediaVariants = []; // MEDIA_VARIANTS the stylesheet uses, set by validateMediaQueries()
+        this.consolidator = this.options.consolidate || this.options.components ? new ClassConsolidator({
+            stateVariants: [
+                ...Object.keys(PSEUDO_STATES),
+                ...Object.keys(MEDIA_VARIANTS),
+                ...Object.values(MEDIA_VARIANTS).map(({ negated }) => negated)
+            ].map(variant => this.dialect.variant(variant)),
+            componentMinCount: this.options.componentMinCount,
+            lookupName: className => this.dialect.designSystemName(className)
+        }) : null;
+    }
+
+    resolveBreakpoints(breakpoints) {
+        // 'default' is always captured: it is the unprefixed mobile-first base
+        let resolved = { default: BREAKPOINTS.default };
+        
+        if (Array.isArray(breakpoints)) {
+            for (const name of breakpoints) {
+                if (!BREAKPOINTS[name]) {
+                    throw new Error(`Unknown breakpoint "${name}" (expected one of ${Object.keys(BREAKPOINTS).join(', ')})`);
+                }
+                resolved[name] = BREAKPOINTS[name];
+            }
+        } else {
+            for (const name of Object.keys(breakpoints)) {
+                if (!BREAKPOINT_NAME.test(name)) {
+                    throw new Error(`Invalid breakpoint name "${name}" (expected a letter, then letters, digits, - or _)`);
+                }
+            }
+            resolved = { ...resolved, ...breakpoints };
+        }
+        
+        // Keep ascending min-width order regardless of how they were listed
+        return Object.fromEntries(Object.entries(resolved).sort(([, a], [, b]) => a.width - b.width));
+    }
+
+    outputPath(name) {
+        return path.join(this.options.outputDir, name);
+    }
+
+    async prepareOutputDirs() {
+        if (!this.options.outputDir) {
+            return;
+        }
+        
+        await fs.mkdir(this.options.outputDir, { recursive: true });
+        if (this.options.keepIntermediate) {
+            this.jsonDir = this.outputPath('json');
+            await fs.mkdir(this.jsonDir, { recursive: true });
+        }
+    }
+
+    async writeOutput(name, content) {
+        // Writing files is a side effect of run(); convert() callers may not want any
+        if (this.options.outputDir) {
+            await fs.writeFile(this.outputPath(name), content);
+        }
+    }
+
+    async writeJSON(name, data) {
+        // Intermediate stage results, kept for debugging only
+        if (this.jsonDir) {
+            await fs.writeFile(path.join(this.jsonDir, name), typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+        }
+    }
+
+    stage(breakpoint) {
+        this.stages[breakpoint] = this.stages[breakpoint] || {};
+        return this.stages[breakpoint];
+    }
+
+    report(message) {
+        if (!this.options.quiet) {
+            console.log(message);
+        }
+    }
+
+    warn(message, detail = null) {
+        this.diagnostics.warnings.push(detail === null ? message : `${message} ${detail}`);
+        if (!this.options.quiet) {
+            if (detail === null) {
+                console.warn(message);
+            } else {
+                console.warn(message, detail);
+            }
+        }
+    }
+
+    async time(phase, task) {
+        // Wall-clock time per phase, in diagnostics.timings; printed with options.benchmark
+        const start = performance.now();
+        try {
+            return await task();
+        } finally {
+            this.diagnostics.timings.push({ phase, ms: Math.round(performance.now() - start) });
+        }
+    }
+
+    reportTimings() {
+        // Breakpoints are captured in parallel, so their times add up to more than the total
+        const width = Math.max(...this.diagnostics.timings.map(({ phase }) => phase.length));
+        this.report('Timings:');
+        for (const { phase, ms } of this.diagnostics.timings) {
+            this.report(`    ${phase.padEnd(width)} ${String(ms).padStart(8)} ms`);
+        }
     }
 
     async initLogging() {
@@ -54,228 +344,494 @@ class CSSToTailwindConverter {
     }
 
     async run() {
+        // Read the configured input files, convert them and write the results to outputDir
         try {
-            console.log('Starting CSS to Tailwind conversion...\n');
+            this.report('Starting CSS to Tailwind conversion...\n');
             
             // Initialize logging
-            await this.initLogging();
+            if (this.options.logs) {
+                await this.initLogging();
+            }
             await this.log('Starting conversion process');
             
-            // Dynamically import ESM module
-            await this.log('Loading CSS to Tailwind translator module...');
-            const module = await import('css-to-tailwind-translator');
-            this.CssToTailwindTranslator = module.CssToTailwindTranslator;
-            await this.log('Module loaded successfully');
-            
             // Load input files
             await this.loadInputFiles();
             
-            // Phase 0: Validate media queries
-            console.log('Phase 0: Validating media queries...');
-            await this.validateMediaQueries();
-            
-            // Phase 1: CSS Pre-processing
-            console.log('Phase 1: Pre-processing CSS and adding element IDs...');
-            await this.preprocessCSS();
-            await this.addElementIds();
-            
-            // Phase 2: Style extraction with Playwright
-            console.log('Phase 2: Extracting styles with Playwright...');
-            await this.extractStyles();
+            const result = await this.convert(this.htmlContent, this.givenCSS);
             
-            // Phase 3: Convert to Tailwind
-            console.log('Phase 3: Converting CSS to Tailwind classes...');
-            await this.convertToTailwind();
-            
-            // Phase 4: Generate final HTML
-            console.log('Phase 4: Generating final HTML...');
-            await this.generateFinalHTML();
-            
-            console.log('\n✅ Conversion completed successfully!');
-            console.log('Output file: test/output/tailwind.html');
-            console.log('JSON files: test/output/json/');
+            this.report('\n✅ Conversion completed successfully!');
+            if (this.options.outputDir) {
+                this.report(`Output file: ${this.outputPath('tailwind.html')}`);
+            }
+            if (this.jsonDir) {
+                this.report(`JSON files: ${this.jsonDir}`);
+            }
             
+            return result;
         } catch (error) {
             console.error('❌ Error during conversion:', error);
-            process.exit(1);
+            await this.log(`Conversion failed: ${error.stack || error.message}`);
+            throw error;
+        }
+    }
+
+    async convert(html, css = []) {
+        // css: stylesheet source(s) besides what the page links or embeds, matching cssPaths
+        this.htmlContent = html;
+        this.givenCSS = [].concat(css);
+        await this.prepareOutputDirs();
+        
+        // Dynamically import ESM module
+        await this.log('Loading CSS to Tailwind translator module...');
+        const module = await import('css-to-tailwind-translator');
+        this.CssToTailwindTranslator = module.CssToTailwindTranslator;
+        this.utilityProperties = await new TailwindCompiler().loadDesignSystem();
+        await this.log('Module loaded successfully');
+        
+        // Phase 0: Collect style sources and validate media queries
+        this.report('Phase 0: Collecting style sources and validating media queries...');
+        await this.time('validate', async () => {
+            await this.collectStyleSources();
+            await this.validateMediaQueries();
+        });
+        
+        // Phase 1: CSS Pre-processing
+        this.report('Phase 1: Pre-processing CSS and adding element IDs...');
+        await this.time('preprocess', async () => {
+            await this.preprocessCSS();
+            await this.extractTheme();
+            await this.addElementIds();
+            await this.analyzeRelations();
+            await this.extractResidualCSS();
+            await this.preparePassPages();
+        });
+        
+        // Phase 2: Style extraction with Playwright
+        this.report('Phase 2: Extracting styles with Playwright...');
+        await this.time('extract', () => this.extractStyles());
+        
+        // Phase 3: Convert to Tailwind
+        this.report('Phase 3: Converting CSS to Tailwind classes...');
+        await this.time('convert', async () => {
+            if (this.snapper) {
+                await this.snapValues();
+            }
+            await this.convertToTailwind();
+            if (this.options.consolidate) {
+                await this.consolidateClasses();
+            }
+        });
+        
+        // Phase 4: Generate final HTML
+        this.report('Phase 4: Generating final HTML...');
+        const { html: finalHTML, trackedHTML, classes, css: compiledCSS, output } = await this.time('generate', () => this.generateFinalHTML());
+        this.trackedHTML = trackedHTML;
+        
+        // Phase 5: Visual verification
+        let verification = null;
+        if (this.options.verify) {
+            this.report('Phase 5: Verifying the converted page against the original...');
+            verification = await this.time('verify', () => this.verifyConversion(trackedHTML, compiledCSS));
+        }
+        
+        if (this.options.benchmark) {
+            this.reportTimings();
+        }
+        
+        return {
+            html: finalHTML,
+            css: compiledCSS,
+            classes,
+            breakpoints: Object.fromEntries(
+                Object.keys(this.breakpoints).map(breakpoint => [breakpoint, this.stage(breakpoint).tailwindClasses || {}])
+            ),
+            selectors: await this.collectSelectorClasses(),
+            theme: this.theme.hasTokens() ? { tokens: this.theme.tokens, css: this.theme.toThemeCSS() } : null,
+            residual: this.residual?.hasRules() ? { css: this.residual.toCSS(), entries: this.residual.entries } : null,
+            components: this.consolidator?.components || [],
+            output,
+            verification,
+            diagnostics: this.diagnostics
+        };
+    }
+
+    async verifyConversion(trackedHTML, compiledCSS) {
+        const verifier = new VisualVerifier({
+            breakpoints: this.breakpoints,
+            outputDir: this.options.outputDir,
+            browser: this.options.browser,
+            runtime: { url: this.dialect.runtime(), path: this.dialect.localRuntime() }
+        });
+        
+        const report = await verifier.verify({
+            // The page as captured, which already carries its styles
+            originalHTML: this.passPages.enabled,
+            originalCSS: '',
+            convertedHTML: this.withExternalStyles(trackedHTML),
+            // Linked stylesheets can't load into setContent's about:blank page; inject them instead
+            convertedCSS: this.linkedCSS(compiledCSS),
+            // Residual CSS may be injected too, but cdn classes only exist once the runtime has run
+            convertedRuntime: this.options.tailwindOutput === 'cdn'
+        });
+        
+        for (const [breakpoint, result] of Object.entries(report)) {
+            await this.log(`Verification for ${breakpoint}:`, result);
+            if (result.runtimeTimedOut) {
+                this.warn(`Verification at ${breakpoint}: the Tailwind runtime hadn't generated its styles after 10s; the converted page was compared without them`);
+            }
+            this.report(`  ${breakpoint}: ${(result.mismatchRatio * 100).toFixed(2)}% pixels differ, ` +
+                `${result.divergingElements} elements diverge`);
         }
+        
+        return report;
+    }
+
+    withExternalStyles(html) {
+        // External local stylesheets inlined, as they are in the captured page
+        const { JSDOM, VirtualConsole } = require('jsdom');
+        const dom = new JSDOM(html, { virtualConsole: new VirtualConsole() });
+        this.styleSources.inlineExternalLinks(dom.window.document);
+        return dom.serialize();
+    }
+
+    linkedCSS(compiledCSS) {
+        const linked = [];
+        if (this.options.tailwindOutput === 'link') {
+            linked.push(compiledCSS);
+        }
+        if (this.residualLinked()) {
+            linked.push(this.residual.toCSS());
+        }
+        return linked.length > 0 ? linked.join('\n') : null;
     }
 
     async loadInputFiles() {
         await this.log('Loading input files...');
-        this.cssContent = await fs.readFile('test/input/style.css', 'utf-8');
-        this.htmlContent = await fs.readFile('test/input/index.html', 'utf-8');
-        await this.log('CSS content length:', this.cssContent.length);
+        // Linked stylesheets are read once the page is parsed, see collectStyleSources()
+        this.givenCSS = [];
+        for (const cssPath of this.options.cssPaths) {
+            this.givenCSS.push(await fs.readFile(cssPath, 'utf-8'));
+        }
+        this.htmlContent = await fs.readFile(this.options.htmlPath, 'utf-8');
         await this.log('HTML content length:', this.htmlContent.length);
-        console.log('✓ Input files loaded');
+        this.report('✓ Input files loaded');
     }
 
-    async validateMediaQueries() {
-        const mediaQueryRegex = /@media\s*\([^)]+\)/g;
-        const matches = this.cssContent.match(mediaQueryRegex) || [];
+    async collectStyleSources() {
+        // Linked stylesheets, <style> blocks and style attributes, in cascade order
+        const { JSDOM, VirtualConsole } = require('jsdom');
+        // jsdom's CSS parser chokes on modern syntax in <style> blocks; silence it
+        const document = new JSDOM(this.htmlContent, { virtualConsole: new VirtualConsole() }).window.document;
+        this.styleSources = new StyleSources({
+            htmlPath: this.options.htmlPath,
+            cssPaths: this.options.cssPaths,
+            external: this.options.externalStyles
+        });
+        await this.styleSources.collect(document, this.givenCSS);
+        for (const warning of this.styleSources.warnings) {
+            this.warn(warning);
+        }
+        
+        // Diagnostics point into the source they came from, not into the concatenation
+        const stylesheets = this.styleSources.converted().filter(source => source.kind !== 'inline');
+        this.cssSourceLines = [];
+        let line = 1;
+        for (const source of stylesheets) {
+            this.cssSourceLines.push({ name: source.name, line });
+            line += source.css.split('\n').length;
+        }
+        this.cssContent = this.styleSources.convertedCSS().join('\n');
+        await this.writeJSON('style-sources.json', this.styleSources.sources.map(({ name, kind, path: sourcePath, converted }) =>
+            ({ name, kind, path: sourcePath || null, converted })));
+        await this.log('CSS content length:', this.cssContent.length);
+        
+        const interleaved = this.styleSources.interleaved();
+        if (interleaved.length > 0) {
+            this.warn('Converted styles are merged into one stylesheet where the first of them was; these external ones now come before all of it:',
+                interleaved.map(source => source.name).join(', '));
+        }
         
-        if (matches.length > 0) {
-            await this.log('Media queries detected; proceeding with desktop-only viewport', matches);
-            console.log('✓ Media queries detected and evaluated at the desktop viewport');
+        const { converted, external } = this.styleSources.summarize();
+        if (converted.length === 0) {
+            this.warn('No style sources to convert; the page keeps the styles it has');
         } else {
-            console.log('✓ No media queries detected');
+            this.report(`✓ Converting ${converted.length} style sources: ${converted.join(', ')}`);
+        }
+        if (external.length > 0) {
+            this.report(`✓ Left as they are: ${external.join(', ')}`);
         }
     }
 
-    async preprocessCSS() {
-        await this.log('Starting CSS preprocessing...');
+    cssSourcePosition(line) {
+        // { name, line } of a line in cssContent
+        const source = [...this.cssSourceLines].reverse().find(entry => entry.line <= line);
+        return source ? { source: source.name, line: line - source.line + 1 } : { source: null, line };
+    }
+
+    async validateMediaQueries() {
+        const mediaQueryRegex = /@media([^{]+)\{/g;
+        const queries = new Map();
+        let match;
+        
+        while ((match = mediaQueryRegex.exec(this.cssContent)) !== null) {
+            const query = match[1].trim().replace(/\s+/g, ' ');
+            queries.set(query, (queries.get(query) || 0) + 1);
+        }
+        
+        this.mediaVariants = this.findMediaVariants([...queries.keys()]);
+        if (this.mediaVariants.length > 0) {
+            this.report(`✓ Capturing ${this.mediaVariants.join(', ')} variants in extra passes`);
+        }
+        
+        if (queries.size === 0) {
+            this.report('✓ No media queries detected');
+            return;
+        }
+        
+        const mismatched = [];
+        for (const [query, count] of queries) {
+            for (const feature of this.parseMediaQueryWidths(query)) {
+                const breakpoint = this.matchBreakpoint(feature);
+                if (!breakpoint) {
+                    mismatched.push({ query, feature: `${feature.type}: ${feature.px}px`, occurrences: count });
+                }
+            }
+        }
+        
+        await this.log('Media queries detected:', Object.fromEntries(queries));
+        this.diagnostics.mediaQueries = mismatched;
+        
+        if (mismatched.length > 0) {
+            await this.log('Media queries not aligned with a configured breakpoint:', mismatched);
+            if (!this.options.quiet) {
+                console.warn(`⚠ ${mismatched.length} media query width(s) do not line up with a configured breakpoint:`);
+                for (const { query, feature, occurrences } of mismatched) {
+                    console.warn(`    @media ${query} (${feature}, ${occurrences}x)`);
+                }
+            }
+        }
         
-        // Step 1: Clean and consolidate CSS
-        await this.log('Cleaning and consolidating CSS...');
-        const cleanCSS = new CleanCSS({
-            level: 2,
-            format: 'beautify'
+        this.report(`✓ ${queries.size} distinct media queries validated against ${Object.keys(this.breakpoints).length} breakpoints`);
+    }
+
+    findMediaVariants(queries) {
+        // Each variant costs a pass per breakpoint, so only those the stylesheet uses
+        if (!this.options.emulateMedia) {
+            return [];
+        }
+        return Object.keys(MEDIA_VARIANTS).filter(variant => {
+            if (variant === 'dark' && this.options.darkMode === 'class') {
+                return /\.dark(?![\w-])/.test(this.cssContent);
+            }
+            return queries.some(query => query.search(MEDIA_VARIANTS[variant].feature) !== -1);
         });
+    }
+
+    parseMediaQueryWidths(query) {
+        // Extract min-width / max-width features and normalise them to pixels
+        const features = [];
+        const featureRegex = /\(\s*(min|max)-width\s*:\s*([\d.]+)(px|em|rem)?\s*\)/gi;
+        let match;
         
-        const cleaned = cleanCSS.minify(this.cssContent);
-        if (cleaned.errors && cleaned.errors.length > 0) {
-            await this.log('CSS cleaning warnings:', cleaned.errors);
-            console.warn('CSS cleaning warnings:', cleaned.errors);
+        while ((match = featureRegex.exec(query)) !== null) {
+            const value = parseFloat(match[2]);
+            const unit = (match[3] || 'px').toLowerCase();
+            features.push({
+                type: `${match[1].toLowerCase()}-width`,
+                px: unit === 'px' ? value : value * 16
+            });
+        }
+        
+        return features;
+    }
+
+    matchBreakpoint(feature) {
+        // min-width must equal a breakpoint; max-width must sit just below one
+        for (const [breakpoint, viewport] of Object.entries(this.breakpoints)) {
+            if (breakpoint === 'default') {
+                continue;
+            }
+            if (feature.type === 'min-width' && feature.px === viewport.width) {
+                return breakpoint;
+            }
+            if (feature.type === 'max-width' &&
+                feature.px < viewport.width &&
+                viewport.width - feature.px <= MAX_WIDTH_TOLERANCE) {
+                return breakpoint;
+            }
         }
         
-        await this.log('Cleaned CSS:', cleaned.styles);
+        return null;
+    }
+
+    async preprocessCSS() {
+        await this.log('Starting CSS preprocessing...');
+        
+        // Cleaned, parsed and shorthands expanded per declaration; at-rules and !important
+        // come through as written
+        const preprocessor = new CSSPreprocessor();
+        this.processedCSS = preprocessor.process(this.cssContent);
         
-        // Step 2: Expand shorthand properties
-        await this.log('Expanding shorthand properties...');
-        const expandedCSS = this.expandCSSShorthands(cleaned.styles);
-        this.processedCSS = expandedCSS;
+        // Input the browser skips is reported, not fatal: the page renders without it too
+        this.diagnostics.css = preprocessor.diagnostics.map(diagnostic =>
+            diagnostic.line === null ? { ...diagnostic, source: null } : { ...diagnostic, ...this.cssSourcePosition(diagnostic.line) }
+        );
+        for (const { message, source, line, column } of this.diagnostics.css) {
+            this.warn(line === null ? `CSS: ${message}` : `CSS ${source ? `${source} ` : ''}${line}:${column}: ${message}`);
+        }
         
         await this.log('Processed CSS with expanded shorthands:', this.processedCSS);
         
         // Save processed CSS for debugging
-        await fs.writeFile('test/output/json/processed.css', this.processedCSS);
-        console.log('✓ CSS pre-processed and shorthand properties expanded');
+        await this.writeJSON('processed.css', this.processedCSS);
+        this.report('✓ CSS pre-processed and shorthand properties expanded');
     }
 
-    expandCSSShorthands(css) {
-        // Simple regex-based expansion for common shorthands
-        // In production, you'd want a more robust CSS parser
-        let expanded = css;
+    async extractTheme() {
+        await this.log('Extracting :root custom properties as theme tokens...');
+        const tokens = this.theme.collect(this.processedCSS);
         
-        // This is a simplified version - in reality you'd parse the CSS properly
-        // and use the inline-style-expand-shorthand library on each declaration
-        const rules = css.match(/[^{}]+\{[^}]+\}/g) || [];
-        const expandedRules = [];
+        await this.writeJSON('theme-tokens.json', tokens);
         
-        for (const rule of rules) {
-            const [selector, declarations] = rule.split('{');
-            const props = this.splitDeclarations(declarations.replace('}', ''));
-            const expandedProps = [];
-            
-            for (const prop of props) {
-                const colonIndex = prop.indexOf(':');
-                if (colonIndex === -1) {
-                    continue;
-                }
-                const property = prop.slice(0, colonIndex).trim();
-                const value = prop.slice(colonIndex + 1).trim();
-                if (property && value) {
-                    // Create an object with the single property
-                    const styleObj = {};
-                    styleObj[property] = value;
-                    const expanded = expandShorthand(styleObj);
-                    
-                    if (expanded && Object.keys(expanded).length > Object.keys(styleObj).length) {
-                        // It was a shorthand, use expanded version
-                        for (const [key, val] of Object.entries(expanded)) {
-                            expandedProps.push(`${key}: ${val}`);
-                        }
-                    } else {
-                        // Not a shorthand or couldn't expand
-                        expandedProps.push(prop.trim());
-                    }
-                }
-            }
-            
-            expandedRules.push(`${selector}{${expandedProps.join('; ')}}`);
+        if (!this.theme.hasTokens()) {
+            this.report('✓ No :root custom properties found');
+            return;
+        }
+        
+        // v3 reads the tokens from tailwind.config.js, written with the final HTML
+        if (this.dialect.target === 'v4') {
+            await this.writeOutput('theme.css', this.theme.toThemeCSS());
+        }
+        
+        const unclassified = Object.entries(tokens).filter(([, token]) => !token.category);
+        if (unclassified.length > 0) {
+            await this.log('Custom properties kept as plain CSS variables:', Object.fromEntries(unclassified));
         }
         
-        return expandedRules.join('\n');
+        this.report(`✓ Extracted ${Object.keys(tokens).length} theme tokens (${unclassified.length} unclassified)`);
     }
 
-    splitDeclarations(declarationBlock) {
-        const declarations = [];
-        let current = '';
-        let depth = 0;
-        let inQuote = null;
-        let escapeNext = false;
+    async extractResidualCSS() {
+        if (!this.options.residual) {
+            return;
+        }
         
-        for (const char of declarationBlock) {
-            if (escapeNext) {
-                current += char;
-                escapeNext = false;
-                continue;
-            }
-            
-            if (char === '\\') {
-                current += char;
-                escapeNext = true;
-                continue;
-            }
-            
-            if (inQuote) {
-                current += char;
-                if (char === inQuote) {
-                    inQuote = null;
-                }
-                continue;
-            }
-            
-            if (char === '"' || char === "'") {
-                inQuote = char;
-                current += char;
-                continue;
-            }
-            
-            if (char === '(') {
-                depth++;
-                current += char;
-                continue;
-            }
-            
-            if (char === ')') {
-                depth = Math.max(0, depth - 1);
-                current += char;
-                continue;
-            }
-            
-            if (char === ';' && depth === 0) {
-                const trimmed = current.trim();
-                if (trimmed) {
-                    declarations.push(trimmed);
-                }
-                current = '';
-                continue;
+        await this.log('Collecting CSS that has no utility equivalent...');
+        this.residual = new ResidualExtractor({
+            hookPrefix: this.options.hookPrefix,
+            capturedStates: Object.keys(PSEUDO_STATES),
+            capturedPseudoElements: Object.keys(PSEUDO_ELEMENTS),
+            // Class-based dark mode is a selector, not a media query, and .dark stays as it is
+            capturedMedia: this.mediaVariants
+                .filter(variant => variant !== 'dark' || this.options.darkMode !== 'class')
+                .map(variant => MEDIA_VARIANTS[variant].feature),
+            preservedClasses: this.options.darkMode === 'class' ? ['dark'] : [],
+            relation: selector => this.relations.status(selector),
+            untranslatable: (prop, value) => this.findUntranslatable(prop, value)
+        });
+        // The original CSS: preprocessing merges rules and expands the shorthands it reports
+        const entries = this.residual.collect(this.cssContent);
+        
+        await this.writeJSON('residual.json', entries);
+        if (!this.residual.hasRules()) {
+            this.report('✓ Every rule maps to utility classes');
+            return;
+        }
+        
+        if (this.residualLinked()) {
+            await this.writeOutput('residual.css', this.residual.toCSS());
+        }
+        
+        const counts = Object.entries(this.residual.summarize()).map(([type, count]) => `${count} ${type}`);
+        this.report(`✓ ${entries.length} rules kept in residual.css (${counts.join(', ')})`);
+        for (const type of Object.keys(this.residual.summarize())) {
+            // Identical entries (e.g. repeated @media blocks) are listed once with a count
+            const items = new Map();
+            for (const entry of entries.filter(entry => entry.type === type)) {
+                const item = entry.properties ? `${entry.name} { ${entry.properties.join(', ')} }` : entry.name;
+                items.set(item, (items.get(item) || 0) + 1);
             }
-            
-            current += char;
+            const listed = [...items].map(([item, count]) => count > 1 ? `${item} ×${count}` : item);
+            this.report(`    ${type}: ${listed.join('; ')}`);
         }
+    }
+
+    async analyzeRelations() {
+        // Selectors like .card:hover .title or .toggle:checked ~ .panel, read against the page
+        // with its element ids; the breakpoint passes capture what they do as group-*, peer-*
+        // or arbitrary variants
+        const { JSDOM, VirtualConsole } = require('jsdom');
+        const dom = new JSDOM(this.htmlContent, { virtualConsole: new VirtualConsole() });
+        this.relations = new SelectorRelations({ states: Object.keys(RELATION_STATES) });
+        const relations = this.relations.collect(this.cssContent, dom.window.document);
+        
+        await this.writeJSON('relations.json', { relations, unsupported: this.relations.unsupported });
         
-        const final = current.trim();
-        if (final) {
-            declarations.push(final);
+        this.diagnostics.relations = this.relations.unsupported.map(entry =>
+            entry.line === null ? { ...entry, source: null } : { ...entry, ...this.cssSourcePosition(entry.line) }
+        );
+        for (const { selector, reason, source, line } of this.diagnostics.relations) {
+            const location = line === null ? '' : ` (${source ? `${source} ` : ''}${line})`;
+            this.warn(`No variant for ${selector}${location}: ${reason}; ${this.options.residual ? 'kept in residual.css' : 'dropped'}`);
         }
         
-        return declarations;
+        if (relations.length > 0) {
+            const targets = this.relations.targets().length;
+            this.report(`✓ ${relations.length} selectors depend on another element's state (${targets} styled elements)`);
+        }
+    }
+
+    findUntranslatable(prop, value) {
+        if (this.canTranslate(prop, value)) {
+            return [];
+        }
+        // Otherwise judged per longhand: extraction sees the longhands the browser derives
+        return expandDeclaration(prop, value)
+            .filter(([longhand, longhandValue]) => !this.canTranslate(longhand, longhandValue));
+    }
+
+    canTranslate(prop, value) {
+        return Boolean(this.theme.classFor(prop, value)) || this.translateDeclaration(prop, value) !== '';
+    }
+
+    residualLinked() {
+        // Bundling only applies when there is a compiled stylesheet to bundle into
+        return Boolean(this.residual?.hasRules()) &&
+            !(this.options.bundleResidual && this.options.tailwindOutput !== 'cdn');
     }
 
     async addElementIds() {
         // Parse HTML and add data-element-id to each element
         const { JSDOM } = require('jsdom');
-        const dom = new JSDOM(this.htmlContent);
+        const dom = new JSDOM(this.htmlContent, { includeNodeLocations: true });
         const document = dom.window.document;
         
+        // Source offsets let the patch output rewrite class attributes without reformatting
+        this.sourceHTML = this.htmlContent;
+        this.sourceLocations = {};
+        
         let elementId = 1;
-        const addIds = (element) => {
+        this.elementParents = {};
+        const addIds = (element, parentId = null) => {
             if (element.nodeType === 1) { // Element node
-                element.setAttribute('data-element-id', elementId++);
+                const id = elementId++;
+                // Elements the parser implied (<tbody>) have no location
+                const location = dom.nodeLocation(element);
+                if (location?.startTag) {
+                    const { class: classAttribute, style: styleAttribute } = location.startTag.attrs || {};
+                    this.sourceLocations[`element-id-${id}`] = {
+                        tagStart: location.startTag.startOffset,
+                        nameEnd: location.startTag.startOffset + 1 + element.localName.length,
+                        classAttribute: classAttribute ? { start: classAttribute.startOffset, end: classAttribute.endOffset } : null,
+                        styleAttribute: styleAttribute ? { start: styleAttribute.startOffset, end: styleAttribute.endOffset } : null
+                    };
+                }
+                element.setAttribute('data-element-id', id);
+                if (parentId !== null) {
+                    this.elementParents[`element-id-${id}`] = `element-id-${parentId}`;
+                }
                 for (const child of element.children) {
-                    addIds(child);
+                    addIds(child, id);
                 }
             }
         };
@@ -288,124 +844,253 @@ class CSSToTailwindConverter {
         
         this.elementCount = elementId - 1;
         this.htmlContent = dom.serialize();
+        this.elementKeys = this.hashElements(document);
         
         // Save the modified HTML
-        await fs.writeFile('test/output/html-with-ids.html', this.htmlContent);
-        console.log(`✓ Added data-element-id to ${this.elementCount} elements`);
+        await this.writeOutput('html-with-ids.html', this.htmlContent);
+        this.report(`✓ Added data-element-id to ${this.elementCount} elements`);
+    }
+
+    hashElements(document) {
+        // element-id-N -> hash of its subtree, its ancestors' start tags and the rules that can
+        // style it: what the cache recognises an element by, whatever number it gets
+        const keys = {};
+        const withoutIds = html => html.replace(/\sdata-element-id="\d+"/g, '');
+        const ruleKeys = this.cache ? this.cache.ruleKeys(this.processedCSS, document, INHERITED_PROPERTIES) : {};
+        
+        for (const element of document.querySelectorAll('[data-element-id]')) {
+            const ancestors = [];
+            for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+                ancestors.push(withoutIds(parent.cloneNode(false).outerHTML));
+            }
+            const elementId = `element-id-${element.getAttribute('data-element-id')}`;
+            this.elementTags[elementId] = element.localName;
+            this.elementStartTags[elementId] = withoutIds(element.cloneNode(false).outerHTML).replace(/<\/[^>]+>$/, '');
+            keys[elementId] = this.cache
+                ? this.cache.hash(ancestors, withoutIds(element.outerHTML), ruleKeys[elementId])
+                : null;
+        }
+        
+        return keys;
+    }
+
+    async preparePassPages() {
+        // Without CSS only the external sources apply; with it, the converted CSS takes the
+        // place of the first converted source, so the cascade order is kept
+        const { JSDOM, VirtualConsole } = require('jsdom');
+        for (const [pass, css] of [['disabled', null], ['enabled', this.processedCSS]]) {
+            const dom = new JSDOM(this.htmlContent, { virtualConsole: new VirtualConsole() });
+            this.styleSources.preparePage(dom.window.document, css);
+            this.passPages[pass] = dom.serialize();
+        }
     }
 
     async extractStyles() {
-        const browser = await chromium.launch({ headless: true });
+        // Breakpoints whose CSS, HTML and viewport are unchanged come straight from the cache
+        const pending = [];
+        for (const [breakpoint, viewport] of Object.entries(this.breakpoints)) {
+            const cached = this.cache && await this.cache.loadBreakpoint(breakpoint, this.breakpointCacheKey(viewport));
+            if (this.cache?.restoreStage(cached, this.stage(breakpoint), this.elementKeys, this.pageHash())) {
+                this.report(`  ✓ ${breakpoint} unchanged, reused from the cache`);
+            } else {
+                pending.push([breakpoint, viewport, cached]);
+            }
+        }
+        if (pending.length === 0) {
+            return;
+        }
+        
+        // A browser passed in options is shared with other conversions and outlives this one
+        const browser = this.options.browser || await chromium.launch({ headless: true });
         
         try {
-            for (const [breakpoint, viewport] of Object.entries(BREAKPOINTS)) {
-                console.log(`  Extracting styles for ${breakpoint} breakpoint...`);
-                await this.extractBreakpointStyles(browser, breakpoint, viewport);
+            // Breakpoints are independent: up to `concurrency` of them load in their own context at once
+            const worker = async () => {
+                while (pending.length > 0) {
+                    const [breakpoint, viewport, cached] = pending.shift();
+                    this.report(`  Extracting styles for ${breakpoint} breakpoint...`);
+                    await this.time(`extract ${breakpoint}`, () => this.extractBreakpointStyles(browser, breakpoint, viewport, cached));
+                }
+            };
+            const workers = Array.from({ length: Math.max(1, Math.min(this.options.concurrency, pending.length)) }, worker);
+            const failed = (await Promise.allSettled(workers)).find(result => result.status === 'rejected');
+            if (failed) {
+                throw failed.reason;
             }
         } finally {
-            await browser.close();
+            if (!this.options.browser) {
+                await browser.close();
+            }
         }
     }
 
-    async extractBreakpointStyles(browser, breakpoint, viewport) {
+    breakpointCacheKey(viewport) {
+        // Everything besides the HTML and converted CSS that decides what a breakpoint captures.
+        // Those two are checked per element (elementKeys), or as a whole by pageHash()
+        const { emulateMedia, darkMode } = this.options;
+        const sources = this.styleSources.sources.map(({ name, converted, css }) => ({ name, converted, css: converted ? null : css }));
+        return this.cache.hash(viewport, sources, { emulateMedia, darkMode, mediaVariants: this.mediaVariants });
+    }
+
+    pageHash() {
+        return this.cache.hash(this.htmlContent, this.processedCSS);
+    }
+
+    async extractBreakpointStyles(browser, breakpoint, viewport, cached = null) {
         await this.log(`\nExtracting styles for breakpoint: ${breakpoint}`, viewport);
         
         const context = await browser.newContext({
             viewport: { width: viewport.width, height: viewport.height }
         });
-        const page = await context.newPage();
-        
-        // Set up CDP session
-        const client = await context.newCDPSession(page);
-        await client.send('DOM.enable');
-        await client.send('CSS.enable');
-        
-        // Step 1: Load page WITHOUT CSS
-        await this.log('Loading page without CSS...');
-        await page.route('**/*.css', route => route.abort());
-        await page.goto(`file://${path.resolve('test/output/html-with-ids.html')}`);
-        
-        const stylesWithoutCSS = await this.captureComputedStyles(page, client);
-        await this.log(`Captured styles without CSS for ${this.elementCount} elements`);
-        await fs.writeFile(
-            `test/output/json/${breakpoint}-css-disabled.json`,
-            JSON.stringify(stylesWithoutCSS, null, 2)
-        );
-        
-        // Step 2: Load page WITH CSS
-        await this.log('Loading page with CSS...');
-        await page.unroute('**/*.css');
-        await page.goto(`file://${path.resolve('test/output/html-with-ids.html')}`);
-        
-        // Inject our processed CSS
-        await page.addStyleTag({ content: this.processedCSS });
-        await this.log('Injected processed CSS');
-        
-        const stylesWithCSS = await this.captureComputedStyles(page, client);
-        await this.log(`Captured styles with CSS for ${this.elementCount} elements`);
-        await fs.writeFile(
-            `test/output/json/${breakpoint}-css-enabled.json`,
-            JSON.stringify(stylesWithCSS, null, 2)
-        );
-        
-        // Step 3: Find changed properties
-        const changedProperties = this.findChangedProperties(stylesWithoutCSS, stylesWithCSS);
-        await fs.writeFile(
-            `test/output/json/${breakpoint}-changed-css-property.json`,
-            JSON.stringify(changedProperties, null, 2)
-        );
-        
-        // Step 4: Get matched CSS rules (authored values)
-        const matchedRules = await this.getMatchedCSSRules(page, client, changedProperties);
-        await fs.writeFile(
-            `test/output/json/${breakpoint}-matched-css-rule.json`,
-            JSON.stringify(matchedRules, null, 2)
-        );
         
-        await context.close();
-    }
-
-    async captureComputedStyles(page, client) {
-        const styles = {};
-        this.elementTags = {}; // Store element tag names
-        
-        // Get document root first
-        const { root } = await client.send('DOM.getDocument', { depth: -1 });
+        try {
+            const page = await context.newPage();
+            const time = (step, task) => this.time(`${breakpoint} ${step}`, task);
+            
+            // Set up CDP session; stylesheet ids are unique across targets, so contexts
+            // captured in parallel share the header map
+            const client = await context.newCDPSession(page);
+            client.on('CSS.styleSheetAdded', ({ header }) => {
+                this.styleSheetHeaders[header.styleSheetId] = header;
+            });
+            await client.send('DOM.enable');
+            await client.send('CSS.enable');
+            
+            const stage = this.stage(breakpoint);
+            
+            // Step 1: Load page WITHOUT the converted CSS
+            await this.log('Loading page without CSS...');
+            await page.setContent(this.passPages.disabled, { waitUntil: 'load' });
+            
+            stage.cssDisabled = await time('computed styles', () => this.captureComputedStyles(page));
+            await this.log(`Captured styles without CSS for ${Object.keys(stage.cssDisabled).length} elements`);
+            await this.writeJSON(`${breakpoint}-css-disabled.json`, stage.cssDisabled);
+            
+            // Step 2: Load page WITH the processed CSS in place of the converted sources
+            await this.log('Loading page with CSS...');
+            await page.setContent(this.passPages.enabled, { waitUntil: 'load' });
+            
+            stage.cssEnabled = await time('computed styles', () => this.captureComputedStyles(page));
+            await this.log(`Captured styles with CSS for ${Object.keys(stage.cssEnabled).length} elements`);
+            await this.writeJSON(`${breakpoint}-css-enabled.json`, stage.cssEnabled);
+            
+            // Elements the cache still holds are left out of every per-element CDP request
+            const reusable = this.cache ? this.cache.reusableElements(cached, stage, this.elementKeys) : new Map();
+            const allNodeIds = await this.resolveNodeIds(client);
+            const nodeIds = Object.fromEntries(Object.entries(allNodeIds)
+                .filter(([elementId]) => !reusable.has(elementId)));
+            if (reusable.size > 0) {
+                await this.log(`Reusing cached results for ${reusable.size} unchanged elements`);
+            }
+            
+            // Step 3: Find changed properties
+            const changedProperties = this.findChangedProperties(stage.cssDisabled, stage.cssEnabled);
+            await this.writeJSON(`${breakpoint}-changed-css-property.json`, changedProperties);
+            
+            // Step 4: Get matched CSS rules (authored values)
+            const { matchedRules, matchedSources } = await time('matched rules', () =>
+                this.getMatchedCSSRules(client, nodeIds, changedProperties)
+            );
+            await this.pruneInheritedProperties(matchedRules, matchedSources, stage.cssEnabled);
+            stage.matchedRules = matchedRules;
+            stage.matchedSources = matchedSources;
+            this.cache?.applyElements(stage, reusable, ['matchedRules', 'matchedSources']);
+            await this.writeJSON(`${breakpoint}-matched-css-rule.json`, matchedRules);
+            // Which selector and stylesheet line each authored value came from
+            await this.writeJSON(`${breakpoint}-matched-css-source.json`, matchedSources);
+            
+            // Step 5: Capture media feature variants (dark, motion-reduce, print, ...); before
+            // the state capture, which freezes transitions
+            stage.mediaRules = await time('media features', () => this.captureMediaStyles(page, client, nodeIds, stage));
+            this.cache?.applyElements(stage, reusable, ['mediaRules']);
+            await this.writeJSON(`${breakpoint}-media-css-rule.json`, stage.mediaRules);
+            
+            // Step 6: Capture pseudo-elements (::before, ::after, ...)
+            stage.pseudoElementRules = await time('pseudo-elements', () => this.capturePseudoElementStyles(page, client, nodeIds));
+            this.cache?.applyElements(stage, reusable, ['pseudoElementRules']);
+            await this.writeJSON(`${breakpoint}-pseudo-element-css-rule.json`, stage.pseudoElementRules);
+            
+            // Step 7: Capture interactive states (hover, focus, ...)
+            stage.stateRules = await time('states', () => this.captureStateStyles(page, client, nodeIds));
+            this.cache?.applyElements(stage, reusable, ['stateRules']);
+            await this.writeJSON(`${breakpoint}-state-css-rule.json`, stage.stateRules);
+            
+            // Step 8: Capture states of other elements (group-hover:, peer-checked:, ...). Always
+            // recaptured: an unchanged element can still be styled by a changed sibling
+            stage.relationalRules = await time('relations', () => this.captureRelationalStyles(page, client, allNodeIds));
+            await this.writeJSON(`${breakpoint}-relation-css-rule.json`, stage.relationalRules);
+            
+            if (this.cache) {
+                await this.cache.saveBreakpoint(breakpoint, this.breakpointCacheKey(viewport), this.pageHash(), stage, this.elementKeys);
+            }
+        } finally {
+            await context.close();
+        }
+    }
+
+    async captureComputedStyles(page) {
+        // One getComputedStyle sweep in the page per batch of elements, instead of several
+        // CDP round trips per element
+        const styles = {};
         
-        for (let id = 1; id <= this.elementCount; id++) {
-            const element = await page.$(`[data-element-id="${id}"]`);
-            if (element) {
-                try {
-                    // Get the tag name
-                    const tagName = await element.evaluate(el => el.tagName.toLowerCase());
-                    this.elementTags[`element-id-${id}`] = tagName;
-                    
-                    // Query for the specific element
-                    const { nodeId } = await client.send('DOM.querySelector', {
-                        nodeId: root.nodeId,
-                        selector: `[data-element-id="${id}"]`
-                    });
-                    
-                    if (nodeId && nodeId !== 0) {
-                        const { computedStyle } = await client.send('CSS.getComputedStyleForNode', {
-                            nodeId: nodeId
-                        });
-                        
-                        const styleObj = {};
-                        for (const prop of computedStyle) {
-                            styleObj[prop.name] = prop.value;
-                        }
-                        styles[`element-id-${id}`] = styleObj;
+        for (let first = 1; first <= this.elementCount; first += COMPUTED_STYLE_BATCH) {
+            const last = Math.min(first + COMPUTED_STYLE_BATCH - 1, this.elementCount);
+            const batch = await page.evaluate(({ first, last }) => {
+                const captured = {};
+                for (const el of document.querySelectorAll('[data-element-id]')) {
+                    const id = Number(el.dataset.elementId);
+                    if (id < first || id > last) {
+                        continue;
                     }
-                } catch (err) {
-                    console.warn(`Could not get styles for element ${id}:`, err.message);
+                    const computed = getComputedStyle(el);
+                    const style = {};
+                    for (let i = 0; i < computed.length; i++) {
+                        style[computed[i]] = computed.getPropertyValue(computed[i]);
+                    }
+                    captured[id] = style;
                 }
+                return captured;
+            }, { first, last });
+            
+            for (const [id, style] of Object.entries(batch)) {
+                styles[`element-id-${id}`] = style;
             }
         }
         
         return styles;
     }
 
+    async resolveNodeIds(client) {
+        // element-id-N -> CDP node id from a single DOM.getDocument. Calling it again
+        // invalidates these ids, so it's done once per page load
+        const { root } = await client.send('DOM.getDocument', { depth: -1 });
+        const nodeIds = {};
+        const pending = [root];
+        
+        while (pending.length > 0) {
+            const node = pending.pop();
+            const attributes = node.attributes || [];
+            for (let i = 0; i < attributes.length; i += 2) {
+                if (attributes[i] === 'data-element-id') {
+                    nodeIds[`element-id-${attributes[i + 1]}`] = node.nodeId;
+                }
+            }
+            pending.push(...(node.children || []));
+        }
+        
+        return nodeIds;
+    }
+
+    async inBatches(items, task) {
+        // The requests of a batch are pipelined over the CDP connection instead of each
+        // waiting for the previous answer; results keep the order of items
+        const results = [];
+        for (let i = 0; i < items.length; i += this.options.batchSize) {
+            results.push(...await Promise.all(items.slice(i, i + this.options.batchSize).map(task)));
+        }
+        return results;
+    }
+
     findChangedProperties(withoutCSS, withCSS) {
         const changed = {};
         
@@ -429,238 +1114,1585 @@ class CSSToTailwindConverter {
         return changed;
     }
 
-    async getMatchedCSSRules(page, client, changedProperties) {
+    async getMatchedCSSRules(client, nodeIds, changedProperties) {
         await this.log('Getting matched CSS rules for changed properties...');
         const matchedRules = {};
+        const matchedSources = {};
         
-        // Get document root first
-        const { root } = await client.send('DOM.getDocument', { depth: -1 });
+        const results = await this.inBatches(Object.entries(changedProperties), async ([elementId, props]) => {
+            if (!nodeIds[elementId]) {
+                return null;
+            }
+            try {
+                return [elementId, await this.getAuthoredValues(client, nodeIds[elementId], elementId, props)];
+            } catch (err) {
+                this.warn(`Could not get matched rules for element ${elementId.replace('element-id-', '')}:`, err.message);
+                return null;
+            }
+        });
+        
+        for (const [elementId, resolved] of results.filter(Boolean)) {
+            if (Object.keys(resolved).length > 0) {
+                matchedRules[elementId] = this.pickValues(resolved);
+                matchedSources[elementId] = resolved;
+                await this.log(`Final matched rules for ${elementId}:`, matchedRules[elementId]);
+            }
+        }
         
-        for (const elementId in changedProperties) {
-            const id = elementId.replace('element-id-', '');
-            const element = await page.$(`[data-element-id="${id}"]`);
+        return { matchedRules, matchedSources };
+    }
+
+    async pruneInheritedProperties(matchedRules, matchedSources, stylesWithCSS) {
+        // An inherited value only needs a class where it's declared or where it differs
+        // from the parent; everywhere else the parent's class already cascades down
+        let pruned = 0;
+        
+        for (const [elementId, rules] of Object.entries(matchedRules)) {
+            const parentStyles = stylesWithCSS[this.elementParents[elementId]];
+            if (!parentStyles) {
+                continue;
+            }
             
-            if (element) {
-                try {
-                    // Query for the specific element
-                    const { nodeId } = await client.send('DOM.querySelector', {
-                        nodeId: root.nodeId,
-                        selector: `[data-element-id="${id}"]`
-                    });
+            for (const prop of Object.keys(rules)) {
+                const source = matchedSources[elementId]?.[prop];
+                if (!INHERITED_PROPERTIES.has(prop) || !source?.inheritedFrom) {
+                    continue;
+                }
+                if (parentStyles[prop] === stylesWithCSS[elementId]?.[prop]) {
+                    delete rules[prop];
+                    delete matchedSources[elementId][prop];
+                    pruned++;
+                }
+            }
+            
+            if (Object.keys(rules).length === 0) {
+                delete matchedRules[elementId];
+                delete matchedSources[elementId];
+            }
+        }
+        
+        await this.log(`Pruned ${pruned} inherited properties already provided by a parent`);
+    }
+
+    async getAuthoredValues(client, nodeId, elementId, props) {
+        const { matchedCSSRules, inlineStyle, inherited } = await client.send('CSS.getMatchedStylesForNode', {
+            nodeId: nodeId
+        });
+        
+        await this.log(`Matched CSS rules for element ${elementId}:`, matchedCSSRules?.length || 0);
+        
+        const own = this.collectDeclarations(matchedCSSRules, inlineStyle);
+        const resolved = {};
+        
+        // Extract only the properties we care about
+        for (const prop of props) {
+            if (own[prop]) {
+                resolved[prop] = own[prop];
+            } else if (INHERITED_PROPERTIES.has(prop)) {
+                // Not declared here: take the winner from the nearest ancestor that declares it
+                for (let depth = 0; depth < (inherited || []).length; depth++) {
+                    const ancestor = this.collectDeclarations(inherited[depth].matchedCSSRules, inherited[depth].inlineStyle);
+                    if (ancestor[prop]) {
+                        resolved[prop] = { ...ancestor[prop], inheritedFrom: depth + 1 };
+                        break;
+                    }
+                }
+            }
+            
+            if (resolved[prop]) {
+                await this.log(`Found CSS property for ${elementId}: ${prop} = ${resolved[prop].value}`);
+            }
+        }
+        
+        return resolved;
+    }
+
+    collectDeclarations(matchedCSSRules, inlineStyle, { explicitOnly = false } = {}) {
+        // matchedCSSRules arrive in ascending cascade order (specificity, then source order),
+        // so a later declaration wins unless the current winner is !important and it isn't.
+        // Inline styles come last: they beat every rule of the same importance.
+        const winners = {};
+        
+        const consider = (cssProp, source) => {
+            if (cssProp.disabled || cssProp.parsedOk === false || cssProp.value === undefined) {
+                return;
+            }
+            if (explicitOnly && !cssProp.range) {
+                return; // Longhand CDP synthesised from an authored shorthand
+            }
+            
+            const important = cssProp.important === true;
+            const current = winners[cssProp.name];
+            if (current && current.important && !important) {
+                return;
+            }
+            
+            const range = cssProp.range || source.range;
+            winners[cssProp.name] = {
+                value: cssProp.value.replace(/\s*!important\s*$/i, ''),
+                important,
+                selector: source.selector,
+                stylesheet: source.stylesheet,
+                line: range ? range.startLine + 1 : null
+            };
+        };
+        
+        for (const match of matchedCSSRules || []) {
+            const rule = match.rule;
+            // User-agent defaults are what the page looks like without CSS, not authored values
+            if (!rule || rule.origin === 'user-agent' || !rule.style) {
+                continue;
+            }
+            const header = this.styleSheetHeaders[rule.styleSheetId];
+            const source = {
+                selector: rule.selectorList?.text,
+                stylesheet: header?.sourceURL || rule.styleSheetId || null,
+                range: rule.style.range
+            };
+            for (const cssProp of rule.style.cssProperties || []) {
+                consider(cssProp, source);
+            }
+        }
+        
+        if (inlineStyle) {
+            const source = { selector: 'style attribute', stylesheet: null, range: inlineStyle.range };
+            for (const cssProp of inlineStyle.cssProperties || []) {
+                consider(cssProp, source);
+            }
+        }
+        
+        return winners;
+    }
+
+    pickValues(resolved) {
+        return Object.fromEntries(Object.entries(resolved).map(([prop, decl]) => [prop, decl.value]));
+    }
+
+    async captureMediaStyles(page, client, nodeIds, stage) {
+        const mediaRules = {};
+        if (this.mediaVariants.length === 0) {
+            return mediaRules;
+        }
+        
+        await this.log('Capturing media feature variants...');
+        
+        for (const variant of this.mediaVariants) {
+            await this.emulateMediaVariant(page, client, variant, true);
+            try {
+                const emulated = await this.captureComputedStyles(page);
+                const changed = Object.entries(this.findChangedProperties(stage.cssEnabled, emulated))
+                    .filter(([elementId]) => nodeIds[elementId]);
+                await this.log(`${changed.length} elements change under ${variant}`);
+                
+                const results = await this.inBatches(changed, async ([elementId, props]) => {
+                    try {
+                        return [elementId, props, await this.getAuthoredValues(client, nodeIds[elementId], elementId, props)];
+                    } catch (err) {
+                        this.warn(`Could not capture ${variant} styles for element ${elementId.replace('element-id-', '')}:`, err.message);
+                        return null;
+                    }
+                });
+                
+                for (const [elementId, props, resolved] of results.filter(Boolean)) {
+                    const parentStyles = emulated[this.elementParents[elementId]];
+                    const rules = {};
+                    const negated = {};
                     
-                    if (nodeId && nodeId !== 0) {
-                        const { matchedCSSRules } = await client.send('CSS.getMatchedStylesForNode', {
-                            nodeId: nodeId
-                        });
-                        
-                        await this.log(`Matched CSS rules for element ${elementId}:`, matchedCSSRules?.length || 0);
-                        
-                        const rules = {};
-                        const props = changedProperties[elementId];
-                        
-                        // Extract only the properties we care about
-                        for (const rule of matchedCSSRules || []) {
-                            if (rule.rule && rule.rule.style && rule.rule.style.cssProperties) {
-                                for (const cssProp of rule.rule.style.cssProperties) {
-                                    if (props.includes(cssProp.name)) {
-                                        rules[cssProp.name] = cssProp.value;
-                                        await this.log(`Found CSS property for ${elementId}: ${cssProp.name} = ${cssProp.value}`);
-                                    }
-                                }
+                    for (const prop of props) {
+                        const source = resolved[prop];
+                        const base = stage.matchedSources?.[elementId]?.[prop];
+                        if (INHERITED_PROPERTIES.has(prop) && (!source || source.inheritedFrom) &&
+                            parentStyles?.[prop] === emulated[elementId][prop]) {
+                            continue; // The parent's variant class cascades down
+                        }
+                        if (!source) {
+                            // Only authored without the feature: the base value moves to motion-safe:, not-dark:, ...
+                            if (base && !base.inheritedFrom) {
+                                negated[prop] = stage.matchedRules[elementId][prop];
                             }
+                            continue;
                         }
-                        
-                        if (Object.keys(rules).length > 0) {
-                            matchedRules[elementId] = rules;
-                            await this.log(`Final matched rules for ${elementId}:`, rules);
+                        // The same authored value computing differently reads a custom property the feature redefines
+                        rules[prop] = base && base.value === source.value ? emulated[elementId][prop] : source.value;
+                    }
+                    
+                    for (const [name, found] of [[variant, rules], [MEDIA_VARIANTS[variant].negated, negated]]) {
+                        if (Object.keys(found).length > 0) {
+                            mediaRules[elementId] = mediaRules[elementId] || {};
+                            mediaRules[elementId][name] = found;
+                            await this.log(`Media rules for ${elementId} ${name}:`, found);
                         }
                     }
-                } catch (err) {
-                    console.warn(`Could not get matched rules for element ${id}:`, err.message);
                 }
+            } finally {
+                await this.emulateMediaVariant(page, client, variant, false);
             }
         }
         
-        return matchedRules;
+        return mediaRules;
     }
 
-    async convertToTailwind() {
-        await this.log('\nStarting Tailwind conversion phase...');
+    async emulateMediaVariant(page, client, variant, enabled) {
+        if (variant !== 'dark' || this.options.darkMode !== 'class') {
+            const { media = '', features = [] } = enabled ? MEDIA_VARIANTS[variant] : {};
+            await client.send('Emulation.setEmulatedMedia', { media, features });
+            return;
+        }
+        
+        // Class-based dark mode: toggle .dark on <html>, unless the page already has it
+        await page.evaluate(enabled => {
+            const root = document.documentElement;
+            if (enabled && !root.classList.contains('dark')) {
+                root.classList.add('dark');
+                root.dataset.darkToggled = '';
+            } else if (!enabled && 'darkToggled' in root.dataset) {
+                root.classList.remove('dark');
+                delete root.dataset.darkToggled;
+            }
+        }, enabled);
+    }
+
+    async captureStateStyles(page, client, nodeIds) {
+        await this.log('Capturing pseudo-state styles...');
+        const stateRules = {};
+        
+        // Only probe elements that a state selector could apply to
+        const candidates = await this.findSelectorCandidates(page, Object.fromEntries(
+            Object.keys(PSEUDO_STATES).map(state => [state, `:${state}(?![\\w-])`])
+        ));
+        
+        if (Object.keys(candidates).length === 0) {
+            return stateRules;
+        }
         
-        for (const breakpoint of Object.keys(BREAKPOINTS)) {
-            const rulesFile = `test/output/json/${breakpoint}-matched-css-rule.json`;
+        // Freeze transitions so forced states report their final values
+        await page.addStyleTag({
+            content: '*, *::before, *::after { transition: none !important; animation: none !important; }'
+        });
+        
+        // One element at a time: a state forced on one can change how another matches
+        for (const [state, ids] of Object.entries(candidates)) {
+            await this.log(`Probing ${ids.length} candidate elements for :${state}`);
             
-            try {
-                await this.log(`\nConverting CSS to Tailwind for breakpoint: ${breakpoint}`);
-                const rulesContent = await fs.readFile(rulesFile, 'utf-8');
-                const rules = JSON.parse(rulesContent);
-                const tailwindClasses = {};
-                
-                for (const [elementId, cssProps] of Object.entries(rules)) {
-                    await this.log(`Converting element ${elementId}:`, cssProps);
-                    
-                    // Create CSS string from properties
-                    const cssString = Object.entries(cssProps)
-                        .map(([prop, value]) => `${prop}: ${value}`)
-                        .join('; ');
+            for (const id of ids) {
+                const elementId = `element-id-${id}`;
+                try {
+                    const nodeId = nodeIds[elementId];
+                    if (!nodeId) {
+                        continue;
+                    }
                     
-                    // Wrap in a dummy selector for the translator
-                    const cssCode = `.dummy { ${cssString} }`;
-                    await this.log(`CSS code for conversion: ${cssCode}`);
+                    const resting = await this.getComputedStyleObject(client, nodeId);
+                    const applied = await this.setPseudoState(page, client, nodeId, id, state, true);
+                    if (!applied) {
+                        continue;
+                    }
                     
                     try {
-                        const result = this.CssToTailwindTranslator(cssCode, {
-                            useAllDefaultValues: true
-                        });
+                        const forced = await this.getComputedStyleObject(client, nodeId);
+                        const changedProps = Object.keys(forced).filter(prop => forced[prop] !== resting[prop]);
                         
-                        if (result.code === 'OK' && result.data && result.data[0]) {
-                            tailwindClasses[elementId] = result.data[0].resultVal;
-                            await this.log(`Converted to Tailwind: ${result.data[0].resultVal}`);
-                        } else {
-                            // If conversion fails, create arbitrary value classes
-                            tailwindClasses[elementId] = this.createArbitraryClasses(cssProps);
-                            await this.log(`Conversion failed, using arbitrary classes: ${tailwindClasses[elementId]}`);
+                        if (changedProps.length > 0) {
+                            const rules = this.pickValues(
+                                await this.getAuthoredValues(client, nodeId, elementId, changedProps)
+                            );
+                            if (Object.keys(rules).length > 0) {
+                                stateRules[elementId] = stateRules[elementId] || {};
+                                stateRules[elementId][state] = rules;
+                                await this.log(`State rules for ${elementId}:${state}`, rules);
+                            }
                         }
-                    } catch (err) {
-                        await this.log(`Error converting CSS for ${elementId}: ${err.message}`);
-                        console.warn(`Could not convert CSS for ${elementId}:`, err.message);
-                        tailwindClasses[elementId] = this.createArbitraryClasses(cssProps);
+                    } finally {
+                        await this.setPseudoState(page, client, nodeId, id, state, false);
                     }
+                } catch (err) {
+                    this.warn(`Could not capture :${state} styles for element ${id}:`, err.message);
                 }
-                
-                await fs.writeFile(
-                    `test/output/json/${breakpoint}-tailwind-class.json`,
-                    JSON.stringify(tailwindClasses, null, 2)
-                );
-                
-                console.log(`  ✓ Converted ${Object.keys(tailwindClasses).length} elements for ${breakpoint}`);
-                
-            } catch (err) {
-                console.warn(`Could not process ${breakpoint}:`, err.message);
             }
         }
+        
+        return stateRules;
     }
 
-    createArbitraryClasses(cssProps) {
-        const classes = [];
+    async captureRelationalStyles(page, client, nodeIds) {
+        // The styled element's changes while its anchor (ancestor, earlier sibling or <html>)
+        // is put in the selector's state, keyed by the variant that stands for it
+        const relationalRules = {};
+        const targets = this.relations?.targets() || [];
+        if (targets.length === 0) {
+            return relationalRules;
+        }
         
-        for (const [prop, value] of Object.entries(cssProps)) {
-            // Convert CSS property to Tailwind arbitrary value format
-            const tailwindProp = this.cssToTailwindProperty(prop);
-            if (tailwindProp) {
-                classes.push(`${tailwindProp}-[${value}]`);
+        await this.log(`Capturing ${targets.length} styles set by another element's state...`);
+        await page.addStyleTag({
+            content: '*, *::before, *::after { transition: none !important; animation: none !important; }'
+        });
+        
+        for (const target of targets) {
+            const nodeId = nodeIds[target.elementId];
+            if (!nodeId || (target.anchor && !nodeIds[target.anchor])) {
+                continue;
+            }
+            try {
+                const resting = await this.getComputedStyleObject(client, nodeId);
+                if (!await this.setRelationState(page, client, nodeIds, target, true)) {
+                    continue;
+                }
+                
+                try {
+                    const forced = await this.getComputedStyleObject(client, nodeId);
+                    const changedProps = Object.keys(forced).filter(prop => forced[prop] !== resting[prop]);
+                    if (changedProps.length === 0) {
+                        continue;
+                    }
+                    const rules = this.pickValues(
+                        await this.getAuthoredValues(client, nodeId, target.elementId, changedProps)
+                    );
+                    if (Object.keys(rules).length > 0) {
+                        relationalRules[target.elementId] = relationalRules[target.elementId] || {};
+                        relationalRules[target.elementId][target.variant] = {
+                            ...relationalRules[target.elementId][target.variant],
+                            ...rules
+                        };
+                        await this.log(`Relational rules for ${target.elementId} ${target.variant}:`, rules);
+                    }
+                } finally {
+                    await this.setRelationState(page, client, nodeIds, target, false);
+                }
+            } catch (err) {
+                this.warn(`Could not capture ${target.variant} styles for element ${target.elementId.replace('element-id-', '')}:`, err.message);
             }
         }
         
-        return classes.join(' ');
+        return relationalRules;
     }
 
-    cssToTailwindProperty(cssProp) {
-        // Map common CSS properties to Tailwind prefixes
-        const mapping = {
-            'margin': 'm',
-            'margin-top': 'mt',
-            'margin-right': 'mr',
-            'margin-bottom': 'mb',
-            'margin-left': 'ml',
-            'padding': 'p',
-            'padding-top': 'pt',
-            'padding-right': 'pr',
-            'padding-bottom': 'pb',
-            'padding-left': 'pl',
-            'width': 'w',
-            'height': 'h',
-            'background-color': 'bg',
-            'color': 'text',
-            'font-size': 'text',
-            'font-weight': 'font',
-            'border-radius': 'rounded',
-            'display': '',
-            'position': '',
-            'top': 'top',
-            'right': 'right',
-            'bottom': 'bottom',
-            'left': 'left'
-        };
+    async setRelationState(page, client, nodeIds, target, enabled) {
+        // Pseudo-classes are forced or toggled like the element's own states; classes and
+        // attributes scripts would add are added, and put back as they were afterwards
+        const { pseudo, classes, attributes } = target.state;
+        if (pseudo) {
+            const id = target.anchor.replace('element-id-', '');
+            return this.setPseudoState(page, client, nodeIds[target.anchor], id, pseudo, enabled);
+        }
         
-        return mapping[cssProp] || null;
+        return page.evaluate(({ id, classes, attributes, enabled }) => {
+            const el = id === null ? document.documentElement : document.querySelector(`[data-element-id="${id}"]`);
+            if (!el) {
+                return false;
+            }
+            if (enabled) {
+                const previous = attributes.map(([name]) => [name, el.getAttribute(name)]);
+                el.dataset.relationToggled = JSON.stringify({ classes: classes.filter(name => !el.classList.contains(name)), previous });
+                el.classList.add(...classes);
+                attributes.forEach(([name, value]) => el.setAttribute(name, value));
+            } else if ('relationToggled' in el.dataset) {
+                const { classes: added, previous } = JSON.parse(el.dataset.relationToggled);
+                el.classList.remove(...added);
+                for (const [name, value] of previous) {
+                    if (value === null) {
+                        el.removeAttribute(name);
+                    } else {
+                        el.setAttribute(name, value);
+                    }
+                }
+                delete el.dataset.relationToggled;
+            }
+            return true;
+        }, { id: target.anchor && target.anchor.replace('element-id-', ''), classes, attributes, enabled });
     }
 
-    async generateFinalHTML() {
-        const { JSDOM } = require('jsdom');
-        const dom = new JSDOM(this.htmlContent);
-        const document = dom.window.document;
-        
-        // Collect all Tailwind classes for each element
-        for (let id = 1; id <= this.elementCount; id++) {
-            const element = document.querySelector(`[data-element-id="${id}"]`);
-            if (element) {
-                const classes = [];
-                
-                for (const breakpoint of Object.keys(BREAKPOINTS)) {
-                    try {
-                        const tailwindFile = `test/output/json/${breakpoint}-tailwind-class.json`;
-                        const content = await fs.readFile(tailwindFile, 'utf-8');
-                        const tailwindData = JSON.parse(content);
-                        const elementKey = `element-id-${id}`;
-                        
-                        if (tailwindData[elementKey]) {
-                            const breakpointClasses = tailwindData[elementKey].split(' ');
-                            
-                            if (breakpoint === 'default') {
-                                classes.push(...breakpointClasses);
-                            } else {
-                                // Add responsive prefix
-                                const prefixedClasses = breakpointClasses.map(c => `${breakpoint}:${c}`);
-                                classes.push(...prefixedClasses);
+    async findSelectorCandidates(page, patterns) {
+        // Map each pattern key to the ids of elements matched by a selector containing it,
+        // with the pattern and any pseudo-elements stripped from the selector
+        return page.evaluate((patterns) => {
+            const found = {};
+            const visit = (cssRules) => {
+                for (const rule of cssRules) {
+                    if (!rule.selectorText) {
+                        if (rule.cssRules) {
+                            visit(rule.cssRules);
+                        }
+                        continue;
+                    }
+                    for (const selector of rule.selectorText.split(',')) {
+                        for (const [key, source] of Object.entries(patterns)) {
+                            const regex = new RegExp(source, 'g');
+                            if (!regex.test(selector)) {
+                                continue;
+                            }
+                            const base = selector
+                                .replace(regex, '')
+                                .replace(/::[\w-]+(\([^)]*\))?/g, '')
+                                .trim();
+                            try {
+                                for (const el of document.querySelectorAll(base || '*')) {
+                                    if (el.dataset.elementId) {
+                                        found[key] = found[key] || new Set();
+                                        found[key].add(el.dataset.elementId);
+                                    }
+                                }
+                            } catch (err) {
+                                // Selector not supported by querySelectorAll
                             }
                         }
-                    } catch (err) {
-                        // Skip if file doesn't exist or can't be parsed
                     }
                 }
+            };
+            for (const sheet of document.styleSheets) {
+                try {
+                    visit(sheet.cssRules);
+                } catch (err) {
+                    // Cross-origin stylesheet
+                }
+            }
+            return Object.fromEntries(Object.entries(found).map(([key, ids]) => [key, [...ids]]));
+        }, patterns);
+    }
+
+    async capturePseudoElementStyles(page, client, nodeIds) {
+        await this.log('Capturing pseudo-element styles...');
+        const pseudoRules = {};
+        
+        const candidates = await this.findSelectorCandidates(page, Object.fromEntries(
+            Object.keys(PSEUDO_ELEMENTS).map(pseudo => [pseudo, `::?${pseudo}(?![\\w-])`])
+        ));
+        const ids = [...new Set(Object.values(candidates).flat())].filter(id => nodeIds[`element-id-${id}`]);
+        if (ids.length === 0) {
+            return pseudoRules;
+        }
+        
+        const results = await this.inBatches(ids, async id => {
+            try {
+                const { pseudoElements } = await client.send('CSS.getMatchedStylesForNode', { nodeId: nodeIds[`element-id-${id}`] });
+                return [`element-id-${id}`, pseudoElements || []];
+            } catch (err) {
+                this.warn(`Could not capture pseudo-element styles for element ${id}:`, err.message);
+                return null;
+            }
+        });
+        
+        for (const [elementId, pseudoElements] of results.filter(Boolean)) {
+            for (const { pseudoType, matches } of pseudoElements) {
+                if (!PSEUDO_ELEMENTS[pseudoType]) {
+                    continue;
+                }
+                
+                const rules = this.pickValues(this.collectDeclarations(matches, null, { explicitOnly: true }));
                 
-                if (classes.length > 0) {
-                    element.setAttribute('class', classes.join(' '));
+                if (Object.keys(rules).length > 0) {
+                    pseudoRules[elementId] = pseudoRules[elementId] || {};
+                    pseudoRules[elementId][pseudoType] = rules;
+                    await this.log(`Pseudo-element rules for ${elementId}::${pseudoType}`, rules);
                 }
             }
         }
         
-        // Add Tailwind CDN to head
-        const head = document.head;
-        const tailwindScript = document.createElement('script');
-        tailwindScript.src = 'https://cdn.jsdelivr.net/npm/@tailwindcss/browser@4';
-        head.appendChild(tailwindScript);
+        return pseudoRules;
+    }
+
+    async setPseudoState(page, client, nodeId, id, state, enabled) {
+        const config = RELATION_STATES[state];
         
-        // Remove the original CSS link
-        const cssLink = document.querySelector('link[rel="stylesheet"]');
-        if (cssLink) {
-            cssLink.remove();
+        if (config.forced) {
+            await client.send('CSS.forcePseudoState', {
+                nodeId,
+                forcedPseudoClasses: enabled ? [config.forced] : []
+            });
+            return true;
         }
         
-        // Save final HTML
-        const finalHTML = dom.serialize();
-        await fs.writeFile('test/output/tailwind.html', finalHTML);
-        console.log('✓ Final HTML generated with Tailwind classes');
+        // :disabled and :checked can't be forced through CDP; toggle the DOM state instead
+        return page.evaluate(({ id, property, enabled }) => {
+            const el = document.querySelector(`[data-element-id="${id}"]`);
+            if (!el || !(property in el)) {
+                return false;
+            }
+            if (property === 'checked' && !['checkbox', 'radio'].includes(el.type)) {
+                return false;
+            }
+            if (enabled) {
+                if (el[property]) {
+                    return false; // Already in this state at rest
+                }
+                el.dataset.stateToggled = property;
+                el[property] = true;
+            } else if (el.dataset.stateToggled === property) {
+                el[property] = false;
+                delete el.dataset.stateToggled;
+            }
+            return true;
+        }, { id, property: config.toggle, enabled });
     }
-}
 
-// Install jsdom if not present
-async function checkDependencies() {
-    try {
-        require('jsdom');
-    } catch {
-        console.log('Installing additional dependency: jsdom...');
-        const { execSync } = require('child_process');
-        execSync('npm install jsdom', { stdio: 'inherit' });
+    async getComputedStyleObject(client, nodeId) {
+        const { computedStyle } = await client.send('CSS.getComputedStyleForNode', { nodeId });
+        const styleObj = {};
+        for (const prop of computedStyle) {
+            styleObj[prop.name] = prop.value;
+        }
+        return styleObj;
     }
-}
 
-// Main execution
-async function main() {
-    await checkDependencies();
-    const converter = new CSSToTailwindConverter();
-    await converter.run();
-}
+    async snapValues() {
+        // Moves authored values that sit close to a Tailwind scale entry onto it, so they
+        // become scale classes (p-4, text-red-500) instead of arbitrary ones
+        const summary = new Map();
+        
+        for (const breakpoint of Object.keys(this.breakpoints)) {
+            const stage = this.stage(breakpoint);
+            const snapped = [];
+            
+            const snapRules = (elementId, variant, rules, sources = null) => {
+                for (const [prop, value] of Object.entries(rules)) {
+                    // Theme tokens win over the default scale
+                    if (this.theme.classFor(prop, value)) {
+                        continue;
+                    }
+                    const snap = this.snapper.snap(prop, value);
+                    if (!snap || snap.error === 0 || snap.value === value) {
+                        continue;
+                    }
+                    rules[prop] = snap.value;
+                    if (sources?.[prop]) {
+                        sources[prop] = { ...sources[prop], value: snap.value, snappedFrom: value };
+                    }
+                    snapped.push({
+                        elementId,
+                        variant,
+                        property: prop,
+                        from: value,
+                        to: snap.value,
+                        key: snap.key,
+                        error: Number(snap.error.toFixed(2)),
+                        unit: snap.scale === 'color' ? 'ΔE' : 'px'
+                    });
+                }
+            };
+            
+            for (const [elementId, rules] of Object.entries(stage.matchedRules || {})) {
+                snapRules(elementId, null, rules, stage.matchedSources?.[elementId]);
+            }
+            for (const [elementId, pseudos] of Object.entries(stage.pseudoElementRules || {})) {
+                for (const [pseudoType, rules] of Object.entries(pseudos)) {
+                    snapRules(elementId, pseudoType, rules);
+                }
+            }
+            for (const [elementId, states] of Object.entries(stage.stateRules || {})) {
+                for (const [state, rules] of Object.entries(states)) {
+                    snapRules(elementId, state, rules);
+                }
+            }
+            for (const [elementId, variants] of Object.entries(stage.mediaRules || {})) {
+                for (const [variant, rules] of Object.entries(variants)) {
+                    snapRules(elementId, variant, rules);
+                }
+            }
+            for (const [elementId, variants] of Object.entries(stage.relationalRules || {})) {
+                for (const [variant, rules] of Object.entries(variants)) {
+                    snapRules(elementId, variant, rules);
+                }
+            }
+            
+            for (const snap of snapped) {
+                await this.log(`Snapped ${snap.elementId}${snap.variant ? `:${snap.variant}` : ''} at ${breakpoint} ` +
+                    `${snap.property}: ${snap.from} -> ${snap.to} (${snap.key}, error ${snap.error}${snap.unit})`);
+                const key = `${snap.property}:${snap.from}`;
+                const entry = summary.get(key) || { property: snap.property, from: snap.from, to: snap.to, key: snap.key, error: snap.error, unit: snap.unit, count: 0, elements: [] };
+                entry.count++;
+                entry.elements.push({ elementId: snap.elementId, variant: snap.variant, breakpoint });
+                summary.set(key, entry);
+            }
+            await this.writeJSON(`${breakpoint}-snapped-value.json`, snapped);
+        }
+        
+        this.diagnostics.snaps = [...summary.values()].sort((a, b) => b.error - a.error);
+        if (summary.size === 0) {
+            this.report('  ✓ No values needed snapping to the Tailwind scale');
+            return;
+        }
+        
+        const largest = unit => Math.max(0, ...this.diagnostics.snaps.filter(snap => snap.unit === unit).map(snap => snap.error));
+        this.report(`  ✓ Snapped ${summary.size} distinct values to the Tailwind scale ` +
+            `(largest error ${largest('px')}px, ΔE ${largest('ΔE')}; see diagnostics.snaps)`);
+    }
 
-main().catch(console.error);
+    async convertToTailwind() {
+        await this.log('\nStarting Tailwind conversion phase...');
+        
+        // Properties authored at any smaller breakpoint, per element, and per element and variant
+        const authoredBelow = {};
+        const variantsAuthoredBelow = {};
+        if (this.cache) {
+            await this.cache.loadTranslations(this.cache.hash(this.theme.tokens, this.options.target, this.snapper?.options || null));
+        }
+        await this.overrides.load();
+        const applied = { edited: 0, pinned: 0 };
+        
+        for (const breakpoint of Object.keys(this.breakpoints)) {
+            const stage = this.stage(breakpoint);
+            
+            try {
+                await this.log(`\nConverting CSS to Tailwind for breakpoint: ${breakpoint}`);
+                // Copy so resets don't leak into the recorded rules
+                const rules = structuredClone(stage.matchedRules || {});
+                const variants = structuredClone({
+                    pseudoElements: stage.pseudoElementRules || {},
+                    states: stage.stateRules || {},
+                    media: stage.mediaRules || {},
+                    relations: stage.relationalRules || {}
+                });
+                const tailwindClasses = {};
+                
+                this.addBreakpointResets(breakpoint, rules, authoredBelow);
+                this.addVariantResets(breakpoint, rules, variants, variantsAuthoredBelow);
+                
+                // Values that only hold without a media feature leave the base classes for
+                // its negated variant (motion-safe:, not-dark:, ...)
+                const negatedVariants = new Set(Object.values(MEDIA_VARIANTS).map(({ negated }) => negated));
+                for (const [elementId, media] of Object.entries(variants.media)) {
+                    for (const [variant, cssProps] of Object.entries(media)) {
+                        if (negatedVariants.has(variant) && rules[elementId]) {
+                            Object.keys(cssProps).forEach(prop => delete rules[elementId][prop]);
+                        }
+                    }
+                }
+                
+                // An element whose inputs are unchanged since the last run keeps its classes.
+                // Elements with a review decision are visited even when nothing styles them
+                const elementIds = new Set([rules, ...Object.values(variants)].flatMap(byElement => Object.keys(byElement)));
+                this.overrides.elementIds(breakpoint).forEach(elementId => elementIds.add(elementId));
+                stage.inputHashes = {};
+                stage.overrides = {};
+                for (const elementId of elementIds) {
+                    const inputs = this.translationInputs(rules, variants, elementId);
+                    // Hashed before translating, which may change the inputs
+                    stage.inputHashes[elementId] = this.overrides.hash(inputs);
+                    const key = this.cache?.hash(inputs);
+                    let generated = this.cache?.translation(key);
+                    if (generated === undefined) {
+                        generated = await this.translateElement(elementId, inputs);
+                        this.cache?.storeTranslation(key, generated);
+                    }
+                    
+                    // Review decisions replace the generated classes while they still apply
+                    const { classes, decision, stale } = this.overrides.resolve(
+                        elementId, breakpoint, this.elementStartTags[elementId], stage.inputHashes[elementId], generated
+                    );
+                    tailwindClasses[elementId] = classes;
+                    if (decision) {
+                        stage.overrides[elementId] = { decision, generated, applied: !stale && decision !== 'accepted', stale };
+                    }
+                    if (stage.overrides[elementId]?.applied) {
+                        applied[decision]++;
+                    }
+                    if (stale) {
+                        this.diagnostics.overrides.push({ elementId, breakpoint, decision, reason: stale });
+                        this.warn(`Review decision (${decision}) for ${elementId} at ${breakpoint} is out of date: ${stale}; the generated classes are used`);
+                    }
+                }
+                
+                stage.tailwindClasses = tailwindClasses;
+                await this.writeJSON(`${breakpoint}-tailwind-class.json`, tailwindClasses);
+                
+                this.report(`  ✓ Converted ${Object.keys(tailwindClasses).length} elements for ${breakpoint}`);
+            
+            } catch (err) {
+                this.warn(`Could not process ${breakpoint}:`, err.message);
+            }
+        }
+        
+        if (this.cache) {
+            await this.cache.saveTranslations();
+            const { breakpoints, elements, translations } = this.cache.stats;
+            this.report(`  ✓ Cache: ${breakpoints} breakpoints and ${elements} elements reused, ${translations} translations`);
+        }
+        if (applied.edited + applied.pinned > 0) {
+            this.report(`  ✓ Review decisions applied: ${applied.edited} edited, ${applied.pinned} pinned class lists`);
+        }
+    }
+
+    translationInputs(rules, variants, elementId) {
+        // Everything an element's classes at one breakpoint are translated from
+        return {
+            rules: rules[elementId] || {},
+            pseudoElements: variants.pseudoElements?.[elementId] || {},
+            states: variants.states?.[elementId] || {},
+            media: variants.media?.[elementId] || {},
+            relations: variants.relations?.[elementId] || {}
+        };
+    }
+
+    inputHash(breakpoint, elementId) {
+        // What a review decision is checked against on later runs; elements nothing styled
+        // at this breakpoint were translated from empty inputs
+        const stage = this.stage(breakpoint);
+        return stage.inputHashes?.[elementId] || this.overrides.hash(this.translationInputs({}, {}, elementId));
+    }
+
+    async translateElement(elementId, { rules, pseudoElements, states, media, relations = {} }) {
+        // Base classes, then pseudo-element (before:, after:, ...), state (hover:, focus:, ...),
+        // media (dark:, print:, ...) and relation (group-hover/card:, [.open_&]:, ...) variants
+        await this.log(`Converting element ${elementId}:`, rules);
+        const tailwindClasses = { [elementId]: await this.translateProperties(elementId, rules) };
+        
+        for (const [pseudoType, cssProps] of Object.entries(pseudoElements)) {
+            const { content, ...otherProps } = cssProps;
+            const classes = (await this.translateProperties(elementId, otherProps))
+                .split(' ')
+                .filter(Boolean);
+            const contentClass = content !== undefined && this.createContentClass(content);
+            if (contentClass) {
+                classes.unshift(contentClass);
+            }
+            this.appendVariantClasses(tailwindClasses, elementId, PSEUDO_ELEMENTS[pseudoType], classes);
+        }
+        
+        for (const [variant, cssProps] of [...Object.entries(states), ...Object.entries(media)]) {
+            const classes = (await this.translateProperties(elementId, cssProps))
+                .split(' ')
+                .filter(Boolean);
+            this.appendVariantClasses(tailwindClasses, elementId, this.dialect.variant(variant), classes);
+        }
+        
+        // Written the same way for v3 and v4
+        for (const [variant, cssProps] of Object.entries(relations)) {
+            const classes = (await this.translateProperties(elementId, cssProps))
+                .split(' ')
+                .filter(Boolean);
+            this.appendVariantClasses(tailwindClasses, elementId, variant, classes);
+        }
+        
+        return this.dialect.classList(tailwindClasses[elementId].split(' ').filter(Boolean)).join(' ');
+    }
+
+    async consolidateClasses() {
+        // Longhands back into shorthands and redundant classes out, per breakpoint; the
+        // canonical order is applied once the breakpoints are combined
+        let before = 0;
+        let after = 0;
+        
+        for (const breakpoint of Object.keys(this.breakpoints)) {
+            const stage = this.stage(breakpoint);
+            const tailwindClasses = stage.tailwindClasses || {};
+            for (const [elementId, classList] of Object.entries(tailwindClasses)) {
+                if (stage.overrides?.[elementId]?.applied) {
+                    continue; // Edited in review: kept as written
+                }
+                const classes = classList.split(' ').filter(Boolean);
+                const merged = this.consolidator.merge(classes);
+                before += classes.length;
+                after += merged.length;
+                tailwindClasses[elementId] = merged.join(' ');
+            }
+            await this.writeJSON(`${breakpoint}-consolidated-class.json`, tailwindClasses);
+        }
+        
+        this.report(`  ✓ Consolidated ${before} classes into ${after}`);
+    }
+
+    async collectSelectorClasses() {
+        // Classes each original selector contributed to each element, across breakpoints
+        const selectorClasses = {};
+        
+        for (const breakpoint of Object.keys(this.breakpoints)) {
+            for (const [elementId, sources] of Object.entries(this.stage(breakpoint).matchedSources || {})) {
+                const propsBySelector = {};
+                for (const [prop, source] of Object.entries(sources)) {
+                    if (source.inheritedFrom || !source.selector) {
+                        continue;
+                    }
+                    propsBySelector[source.selector] = propsBySelector[source.selector] || {};
+                    propsBySelector[source.selector][prop] = source.value;
+                }
+                
+                for (const [selector, cssProps] of Object.entries(propsBySelector)) {
+                    const classes = (await this.translateProperties(elementId, cssProps))
+                        .split(' ')
+                        .filter(Boolean)
+                        .map(c => breakpoint === 'default' ? c : `${breakpoint}:${c}`);
+                    selectorClasses[selector] = selectorClasses[selector] || {};
+                    selectorClasses[selector][elementId] = [
+                        ...(selectorClasses[selector][elementId] || []),
+                        ...classes
+                    ];
+                }
+            }
+        }
+        
+        for (const elements of Object.values(selectorClasses)) {
+            for (const elementId of Object.keys(elements)) {
+                const classes = [...new Set(elements[elementId])];
+                elements[elementId] = (this.options.consolidate
+                    ? this.consolidator.sort(this.consolidator.merge(classes)).classes
+                    : classes
+                ).join(' ');
+            }
+        }
+        
+        return selectorClasses;
+    }
+
+    async translateProperties(elementId, cssProps) {
+        // Values backed by a theme token become semantic classes (bg-primary), values on
+        // Tailwind's default scales become scale classes (p-4)
+        const themeClasses = [];
+        const remainingProps = {};
+        for (const [prop, value] of Object.entries(cssProps)) {
+            const themeClass = this.theme.classFor(prop, value) || this.snapper?.classFor(prop, value, cssProps);
+            if (themeClass) {
+                themeClasses.push(themeClass);
+            } else {
+                remainingProps[prop] = value;
+            }
+        }
+        
+        if (Object.keys(remainingProps).length === 0) {
+            return themeClasses.join(' ');
+        }
+        
+        const classes = await this.translateToUtilities(elementId, remainingProps);
+        return [...themeClasses, classes].filter(Boolean).join(' ');
+    }
+
+    async translateToUtilities(elementId, cssProps) {
+        const classes = [];
+        
+        for (const [prop, value] of Object.entries(cssProps)) {
+            const translated = this.translateDeclaration(prop, value);
+            if (translated) {
+                classes.push(translated);
+            } else {
+                await this.log(`No class can express ${elementId} ${prop}: ${value}`);
+            }
+        }
+        
+        await this.log(`Converted to Tailwind: ${classes.join(' ')}`);
+        return classes.join(' ');
+    }
+
+    translateDeclaration(prop, value) {
+        // One declaration at a time: the translator silently drops properties it doesn't
+        // know, which can only be caught (and filled in) per declaration
+        const key = `${prop}:${value}`;
+        if (this.translationCache.has(key)) {
+            return this.translationCache.get(key);
+        }
+        
+        let classes = '';
+        // It doesn't escape literal underscores or spaces inside url(); such values go
+        // straight to the escaping fallback below. Nor can it tell what a var() holds, so
+        // text-[var(--x)] comes out as a color; the fallback's type hints say which it is
+        if (!/_|url\(|var\(/i.test(value)) {
+            try {
+                const result = this.CssToTailwindTranslator(`.dummy { ${prop}: ${value} }`, {
+                    useAllDefaultValues: true
+                });
+                if (result.code === 'OK' && result.data && result.data[0]) {
+                    // Its names are v3's, some from v2
+                    classes = this.dialect.translated(prop, result.data[0].resultVal.trim());
+                }
+            } catch (err) {
+                this.log(`Translator failed on ${prop}: ${value}: ${err.message}`);
+            }
+        }
+        
+        // The translator leaves spaces in some arbitrary values (w-[calc(100% - 10px)]), and
+        // some of its classes set another property (outline-[none] is outline-color)
+        if (!classes || !classes.split(' ').every(c => this.isSafeArbitraryValue(c) && this.setsProperty(c, prop, value))) {
+            classes = this.createArbitraryClass(prop, value) || '';
+        }
+        
+        this.translationCache.set(key, classes);
+        return classes;
+    }
+
+    setsProperty(className, prop, value) {
+        // Whether the class's CSS sets the property, one of the longhands this value sets, or
+        // a longhand named inside it (border-radius -> border-top-left-radius), going by
+        // Tailwind's own output. Vendor prefixes don't count (select-none)
+        const css = this.utilityProperties.candidatesToCss([this.dialect.designSystemName(className)])[0];
+        if (!css) {
+            return false;
+        }
+        const unprefixed = name => name.replace(/^-(webkit|moz|ms|o)-/, '');
+        const targets = [prop, ...expandDeclaration(prop, value).map(([longhand]) => longhand)].map(unprefixed);
+        let sets = false;
+        postcss.parse(css).walkDecls(decl => {
+            const generated = unprefixed(decl.prop);
+            if (decl.parent.type !== 'rule' || generated.startsWith('--')) {
+                return;
+            }
+            sets = sets || targets.some(target => {
+                const parts = target.split('-');
+                return generated === target || (generated.split('-').length > parts.length &&
+                    generated.startsWith(`${parts[0]}-`) && generated.endsWith(`-${parts[parts.length - 1]}`));
+            });
+        });
+        return sets;
+    }
+
+    appendVariantClasses(tailwindClasses, elementId, variant, classes) {
+        const prefixed = classes.map(c => `${variant}:${c}`);
+        tailwindClasses[elementId] = [tailwindClasses[elementId], ...prefixed]
+            .filter(Boolean)
+            .join(' ');
+    }
+
+    createContentClass(value) {
+        // content-['…'] with spaces as underscores and literal underscores escaped
+        const trimmed = value.trim();
+        if (trimmed === 'none' || trimmed === 'normal') {
+            return 'content-none';
+        }
+        
+        const quoted = trimmed.match(/^(["'])([\s\S]*)\1$/);
+        if (quoted) {
+            const inner = quoted[2]
+                .replace(/\\(["'])/g, '$1')
+                .replace(/'/g, "\\'")
+                .replace(/_/g, '\\_')
+                .replace(/ /g, '_');
+            return `content-['${inner}']`;
+        }
+        
+        // attr(), counter(), ...
+        const escaped = this.escapeArbitraryValue(trimmed);
+        return escaped === null ? null : `content-[${escaped}]`;
+    }
+
+    addBreakpointResets(breakpoint, rules, authoredBelow) {
+        // A property set at a smaller breakpoint but no longer matched here must be reset
+        // to its unstyled value, otherwise the smaller breakpoint's class would leak upwards
+        const disabledStyles = this.stage(breakpoint).cssDisabled || {};
+        
+        for (const [elementId, props] of Object.entries(authoredBelow)) {
+            for (const prop of props) {
+                // Inherited properties fall back to the parent, not to the browser default
+                const resetValue = INHERITED_PROPERTIES.has(prop) ? 'inherit' : disabledStyles[elementId]?.[prop];
+                if (rules[elementId]?.[prop] === undefined && resetValue !== undefined) {
+                    rules[elementId] = rules[elementId] || {};
+                    rules[elementId][prop] = resetValue;
+                    this.log(`Reset ${elementId} ${prop} to ${resetValue} at ${breakpoint}`);
+                }
+            }
+        }
+        
+        for (const [elementId, cssProps] of Object.entries(rules)) {
+            authoredBelow[elementId] = authoredBelow[elementId] || new Set();
+            for (const prop of Object.keys(cssProps)) {
+                authoredBelow[elementId].add(prop);
+            }
+        }
+    }
+
+    addVariantResets(breakpoint, rules, variants, authoredBelow) {
+        // The same for variant classes: hover:, before:, dark: or group-hover: from a smaller
+        // breakpoint stays in effect unless reset here. A state, media or relation variant goes
+        // back to the element's own value at this breakpoint; a pseudo-element's properties go
+        // back to their initial values, and without content it isn't generated at all
+        const disabledStyles = this.stage(breakpoint).cssDisabled || {};
+        const fallback = (elementId, prop) => INHERITED_PROPERTIES.has(prop) ? 'inherit' : disabledStyles[elementId]?.[prop];
+        
+        for (const [elementId, groups] of Object.entries(authoredBelow)) {
+            for (const [group, byVariant] of Object.entries(groups)) {
+                for (const [variant, props] of Object.entries(byVariant)) {
+                    // A ::before or ::after that's gone only needs its content reset
+                    const gone = group === 'pseudoElements' && props.has('content') && !variants[group][elementId]?.[variant];
+                    for (const prop of gone ? ['content'] : props) {
+                        let resetValue;
+                        if (group !== 'pseudoElements') {
+                            resetValue = rules[elementId]?.[prop] ?? fallback(elementId, prop);
+                        } else if (prop === 'content') {
+                            resetValue = 'none';
+                        } else {
+                            resetValue = INHERITED_PROPERTIES.has(prop) ? 'inherit' : 'initial';
+                        }
+                        if (variants[group][elementId]?.[variant]?.[prop] === undefined && resetValue !== undefined) {
+                            variants[group][elementId] = variants[group][elementId] || {};
+                            variants[group][elementId][variant] = variants[group][elementId][variant] || {};
+                            variants[group][elementId][variant][prop] = resetValue;
+                            this.log(`Reset ${elementId} ${variant} ${prop} to ${resetValue} at ${breakpoint}`);
+                        }
+                    }
+                }
+            }
+        }
+        
+        for (const [group, byElement] of Object.entries(variants)) {
+            for (const [elementId, byVariant] of Object.entries(byElement)) {
+                for (const [variant, cssProps] of Object.entries(byVariant)) {
+                    authoredBelow[elementId] = authoredBelow[elementId] || {};
+                    authoredBelow[elementId][group] = authoredBelow[elementId][group] || {};
+                    authoredBelow[elementId][group][variant] = authoredBelow[elementId][group][variant] || new Set();
+                    for (const prop of Object.keys(cssProps)) {
+                        authoredBelow[elementId][group][variant].add(prop);
+                    }
+                }
+            }
+        }
+    }
+
+    createArbitraryClass(prop, value) {
+        // A utility from the table when one takes arbitrary values, otherwise [property:value];
+        // null when the value can't be written inside a class name at all
+        if (prop === 'content') {
+            return this.createContentClass(value);
+        }
+        
+        const escaped = this.escapeArbitraryValue(value);
+        if (escaped === null) {
+            return null;
+        }
+        
+        const utility = PROPERTY_UTILITIES[prop];
+        if (!utility || !this.dialect.takesArbitraryValues(utility[0])) {
+            return `[${prop}:${escaped}]`;
+        }
+        const [prefix, hint] = utility;
+        return hint ? `${prefix}-[${hint}:${escaped}]` : `${prefix}-[${escaped}]`;
+    }
+
+    escapeArbitraryValue(value) {
+        // Inside brackets Tailwind reads "_" as a space and "\_" as a literal underscore
+        const normalized = value.trim().replace(/[\t\n\r\f]/g, ' ');
+        if (!normalized || !this.isSafeArbitraryValue(normalized)) {
+            return null;
+        }
+        
+        return normalized
+            // url() keeps underscores as they are, so a space there has to be percent-encoded
+            .replace(/url\(([^)]*)\)/gi, (match, url) => `url(${url.trim().replace(/ /g, '%20')})`)
+            .replace(/_/g, '\\_')
+            .replace(/ /g, '_');
+    }
+
+    isSafeArbitraryValue(value) {
+        // Brackets and parentheses must pair up outside quoted strings, and nothing at the
+        // top level may end the declaration or block early
+        const closers = { ')': '(', ']': '[' };
+        const stack = [];
+        let quote = null;
+        
+        for (let i = 0; i < value.length; i++) {
+            const char = value[i];
+            if (char === '\\') {
+                i++;
+            } else if (quote) {
+                quote = char === quote ? null : quote;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '(' || char === '[') {
+                stack.push(char);
+            } else if (closers[char] && stack.pop() !== closers[char]) {
+                return false;
+            } else if (stack.length === 0 && /[;{}]/.test(char)) {
+                return false;
+            }
+        }
+        
+        return stack.length === 0 && quote === null;
+    }
+
+    async generateFinalHTML() {
+        const { JSDOM, VirtualConsole } = require('jsdom');
+        // jsdom's CSS parser chokes on modern syntax (@layer, nesting) in inlined output; silence it
+        const dom = new JSDOM(this.htmlContent, { virtualConsole: new VirtualConsole() });
+        const document = dom.window.document;
+        
+        const elementClasses = {};
+        const keepClass = await this.originalClassFilter(document);
+        
+        // Hook classes residual.css targets, taken from the original class names
+        const hooks = new Map();
+        if (this.residual?.hasRules()) {
+            for (const element of document.querySelectorAll('[class]')) {
+                const elementHooks = this.residual.hooksFor(element.classList);
+                if (elementHooks.length > 0) {
+                    hooks.set(element, elementHooks);
+                }
+            }
+        }
+        
+        // Collect all Tailwind classes for each element
+        const converted = [];
+        for (let id = 1; id <= this.elementCount; id++) {
+            const element = document.querySelector(`[data-element-id="${id}"]`);
+            if (element) {
+                const elementKey = `element-id-${id}`;
+                const classes = [];
+                let previousClasses = new Set();
+                
+                for (const breakpoint of Object.keys(this.breakpoints)) {
+                    const breakpointClasses = (this.stage(breakpoint).tailwindClasses?.[elementKey] || '')
+                        .split(' ')
+                        .filter(Boolean);
+                    
+                    if (breakpoint === 'default') {
+                        classes.push(...breakpointClasses);
+                    } else {
+                        // Mobile-first: only emit what differs from the next-smaller breakpoint
+                        const prefixedClasses = breakpointClasses
+                            .filter(c => !previousClasses.has(c))
+                            .map(c => `${breakpoint}:${c}`);
+                        classes.push(...prefixedClasses);
+                    }
+                    
+                    previousClasses = new Set(breakpointClasses);
+                }
+                
+                converted.push({ element, elementKey, classes, originalClasses: [...element.classList] });
+            }
+        }
+        
+        // The theme has to be known, or its semantic classes would look like unknown ones
+        const designSystem = await new TailwindCompiler().loadDesignSystem(this.tailwindThemeCSS(true));
+        // group/peer markers go on the anchors of elements that have a relation variant: found
+        // before components replace class lists, added after sorting, which doesn't know them
+        const markers = this.relations?.markers(new Map(converted.map(({ elementKey, classes }) => [elementKey, classes]))) || new Map();
+        if (this.consolidator) {
+            this.consolidator.useDesignSystem(designSystem);
+            this.finishConsolidation(converted);
+        }
+        for (const entry of converted) {
+            if (markers.has(entry.elementKey)) {
+                entry.classes = [...markers.get(entry.elementKey), ...entry.classes];
+            }
+        }
+        
+        const kept = this.keepOriginalClasses(converted, keepClass, designSystem);
+        for (const { element, elementKey, classes } of converted) {
+            if (classes.length > 0) {
+                elementClasses[elementKey] = classes.join(' ');
+            }
+            const classList = [...kept.get(element), ...classes];
+            if (classList.length > 0) {
+                element.setAttribute('class', classList.join(' '));
+            } else {
+                element.removeAttribute('class');
+            }
+        }
+        
+        this.styleSources.removeConverted(document);
+        
+        for (const [element, elementHooks] of hooks) {
+            element.classList.add(...elementHooks);
+        }
+        
+        const compiledCSS = await this.addTailwindStyles(document);
+        if (this.dialect.target === 'v3' || this.options.tailwindConfig) {
+            await this.writeOutput('tailwind.config.js', this.theme.toTailwindConfig(this.tailwindConfigOptions()));
+        }
+        
+        if (this.residualLinked()) {
+            const residualLink = document.createElement('link');
+            residualLink.setAttribute('rel', 'stylesheet');
+            residualLink.setAttribute('href', 'residual.css');
+            document.head.appendChild(residualLink);
+        }
+        
+        // Verification pairs elements up by their ids, so it gets a copy that still has them
+        const trackedHTML = dom.serialize();
+        const finalClasses = {};
+        for (const element of document.querySelectorAll('[data-element-id]')) {
+            finalClasses[`element-id-${element.getAttribute('data-element-id')}`] = element.getAttribute('class') || '';
+            element.removeAttribute('data-element-id');
+        }
+        
+        // Save final HTML
+        const finalHTML = dom.serialize();
+        await this.writeOutput('tailwind.html', finalHTML);
+        this.report('✓ Final HTML generated with Tailwind classes');
+        
+        const output = await this.writeFormattedOutput(document, finalClasses);
+        
+        return { html: finalHTML, trackedHTML, classes: elementClasses, css: compiledCSS, output };
+    }
+
+    async writeFormattedOutput(document, finalClasses) {
+        // JSX, a Vue component or the patched source, written next to tailwind.html
+        const format = this.options.inPlace ? 'patch' : this.options.format;
+        if (!OUTPUT_FORMATS.includes(format)) {
+            throw new Error(`Unknown format "${format}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+        }
+        if (format === 'html') {
+            return null;
+        }
+        if (this.options.inPlace && !this.options.htmlPath) {
+            throw new Error('inPlace needs htmlPath: there is no source file to patch');
+        }
+        
+        const componentName = this.componentName();
+        const writer = new MarkupWriter({ componentName });
+        let fileName;
+        let content;
+        
+        if (format === 'jsx') {
+            fileName = `${componentName}.jsx`;
+            content = writer.toJSX(document.body);
+        } else if (format === 'vue') {
+            fileName = `${componentName}.vue`;
+            content = writer.toVue(document.body);
+        } else {
+            fileName = this.options.htmlPath ? path.basename(this.options.htmlPath) : 'patched.html';
+            const edits = Object.entries(finalClasses)
+                .filter(([elementKey]) => this.sourceLocations[elementKey])
+                .map(([elementKey, className]) => ({ location: this.sourceLocations[elementKey], className }));
+            // Converted style attributes go too, or they'd override the classes that replace them
+            if (this.styleSources.convertsInline()) {
+                edits.forEach(edit => {
+                    edit.removeStyle = true;
+                });
+            }
+            content = writer.patchSource(this.sourceHTML, edits);
+            
+            const implied = Object.entries(finalClasses)
+                .filter(([elementKey, className]) => className && !this.sourceLocations[elementKey]);
+            if (implied.length > 0) {
+                this.warn(`${implied.length} elements the parser added (<tbody>, <html>) aren't in the source; their classes weren't written:`,
+                    implied.map(([elementKey, className]) => `${elementKey} "${className}"`).join(', '));
+            }
+        }
+        
+        for (const warning of new Set(writer.warnings)) {
+            this.warn(warning);
+        }
+        
+        await this.writeOutput(fileName, content);
+        // A component is built by the app's own Tailwind setup rather than the <script> tag
+        await this.writeOutput('tailwind-input.css', this.tailwindEntryCSS());
+        if (this.options.inPlace) {
+            await fs.writeFile(this.options.htmlPath, content);
+            this.report(`✓ Patched class attributes in ${this.options.htmlPath}`);
+        } else {
+            this.report(`✓ Wrote ${format} output to ${fileName}`);
+        }
+        
+        return { format, fileName, content };
+    }
+
+    componentName() {
+        // about-us.html -> AboutUs
+        if (this.options.componentName) {
+            return this.options.componentName;
+        }
+        const stem = this.options.htmlPath ? path.basename(this.options.htmlPath).replace(/\.[^.]*$/, '') : '';
+        const name = stem.split(/[^A-Za-z0-9]+/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+        return /^[A-Z]/.test(name) ? name : 'Page';
+    }
+
+    tailwindEntryCSS() {
+        // Stylesheet for an app to build: Tailwind, the residual rules and the page's @theme.
+        // v3 builds go through postcss-import, which needs every @import first
+        const imports = this.dialect.target === 'v3'
+            ? ['@import "tailwindcss/base";', '@import "tailwindcss/components";', '@import "tailwindcss/utilities";']
+            : ['@import "tailwindcss";'];
+        if (this.residualLinked()) {
+            imports.push('@import "./residual.css";');
+        }
+        if (this.dialect.target === 'v3') {
+            imports.push('@config "./tailwind.config.js";');
+        }
+        return [imports.join('\n') + '\n', this.tailwindInputCSS()].filter(Boolean).join('\n');
+    }
+
+    async originalClassFilter(document) {
+        // Which original class names stay next to the utilities, per options.classMerge
+        const { classMerge, keepClasses } = this.options;
+        if (!CLASS_MERGES.includes(classMerge)) {
+            throw new Error(`Unknown classMerge "${classMerge}" (expected ${CLASS_MERGES.join(', ')})`);
+        }
+        
+        const patterns = keepClasses.map(pattern =>
+            new RegExp(`^${pattern.split('*').map(part => this.escapeRegExp(part)).join('.*')}$`)
+        );
+        const scripts = classMerge === 'js' ? await this.scriptSources(document) : '';
+        const referenced = new Map();
+        
+        return className => {
+            if (classMerge === 'append' || patterns.some(pattern => pattern.test(className))) {
+                return true;
+            }
+            if (classMerge !== 'js') {
+                return false;
+            }
+            if (!referenced.has(className)) {
+                referenced.set(className, new RegExp(`(^|[^\\w-])${this.escapeRegExp(className)}(?![\\w-])`).test(scripts));
+            }
+            return referenced.get(className);
+        };
+    }
+
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    async scriptSources(document) {
+        // Inline scripts, local script files and inline event handlers: where JS names its hooks.
+        // Libraries loaded from a CDN can't be read; options.keepClasses covers those
+        const sources = [];
+        
+        for (const script of document.querySelectorAll('script')) {
+            const src = script.getAttribute('src');
+            if (!src) {
+                sources.push(script.textContent);
+                continue;
+            }
+            const file = localPath(this.options.htmlPath, src);
+            if (file) {
+                try {
+                    sources.push(await fs.readFile(file, 'utf-8'));
+                } catch (err) {
+                    await this.log(`Could not read script ${src}: ${err.message}`);
+                }
+            }
+        }
+        
+        for (const element of document.querySelectorAll('*')) {
+            for (const attribute of element.attributes) {
+                if (/^on/i.test(attribute.name)) {
+                    sources.push(attribute.value);
+                }
+            }
+        }
+        
+        return sources.join('\n');
+    }
+
+    keepOriginalClasses(converted, keepClass, designSystem) {
+        // Kept original classes Tailwind would also read as utilities (.hidden, .collapse) must
+        // not pick up its styles: they're left out of generation, or dropped when the page
+        // uses the same name as a real utility elsewhere
+        const utilities = new Set(converted.flatMap(({ classes }) => classes));
+        const isUtility = new Map();
+        const dropped = new Set();
+        const kept = new Map();
+        let keptCount = 0;
+        this.shieldedClasses = new Set();
+        
+        for (const { element, originalClasses } of converted) {
+            kept.set(element, originalClasses.filter(className => {
+                if (!keepClass(className)) {
+                    return false;
+                }
+                if (!isUtility.has(className)) {
+                    isUtility.set(className, designSystem.getClassOrder([this.dialect.designSystemName(className)])[0][1] !== null);
+                }
+                if (isUtility.get(className)) {
+                    if (utilities.has(className) || /["\\]/.test(className)) {
+                        dropped.add(className);
+                        return false;
+                    }
+                    this.shieldedClasses.add(className);
+                }
+                keptCount++;
+                return true;
+            }));
+        }
+        
+        if (dropped.size > 0) {
+            this.warn('Dropped original classes that are also Tailwind utilities used on this page:', [...dropped].join(' '));
+        }
+        if (keptCount > 0) {
+            this.report(`✓ Kept ${keptCount} original class names (${this.options.classMerge})`);
+        }
+        return kept;
+    }
+
+    finishConsolidation(converted) {
+        // Needs every breakpoint combined: canonical order, then the repeated lists
+        if (this.options.consolidate) {
+            const unknown = new Set();
+            for (const entry of converted) {
+                const sorted = this.consolidator.sort(entry.classes);
+                sorted.unknown.forEach(className => unknown.add(className));
+                entry.classes = sorted.classes;
+            }
+            if (unknown.size > 0) {
+                this.warn(`Dropped ${unknown.size} classes Tailwind doesn't generate:`, [...unknown].join(' '));
+            }
+        }
+        
+        if (this.options.components) {
+            const names = this.consolidator.extractComponents(converted.map(({ element, classes, originalClasses }) => ({
+                classes,
+                originalClasses,
+                tag: element.tagName.toLowerCase()
+            })));
+            names.forEach((name, index) => {
+                if (name) {
+                    converted[index].classes = [name];
+                }
+            });
+            
+            const components = this.consolidator.components;
+            const elements = components.reduce((total, component) => total + component.count, 0);
+            this.report(components.length === 0
+                ? '✓ No class list repeats often enough for a component'
+                : `✓ Extracted ${components.length} @apply components shared by ${elements} elements`);
+        }
+    }
+
+    async addTailwindStyles(document) {
+        const head = document.head;
+        const mode = this.options.tailwindOutput;
+        const inputCSS = this.tailwindInputCSS();
+        
+        if (mode === 'cdn') {
+            // Add the target version's Tailwind CDN to head
+            const tailwindScript = document.createElement('script');
+            tailwindScript.src = this.dialect.runtime();
+            head.appendChild(tailwindScript);
+            
+            // The v3 Play CDN reads its config from a global set once the script has loaded
+            if (this.dialect.target === 'v3') {
+                const configScript = document.createElement('script');
+                const config = JSON.stringify(this.theme.tailwindConfig(this.tailwindConfigOptions()), null, 4);
+                configScript.textContent = `\ntailwind.config = ${config};\n`;
+                head.appendChild(configScript);
+            }
+            
+            // The browser build picks up @theme and @apply components from text/tailwindcss style blocks
+            if (inputCSS) {
+                const themeStyle = document.createElement('style');
+                themeStyle.setAttribute('type', 'text/tailwindcss');
+                themeStyle.textContent = '\n' + inputCSS;
+                head.appendChild(themeStyle);
+            }
+            return null;
+        }
+        
+        if (mode !== 'link' && mode !== 'inline') {
+            throw new Error(`Unknown tailwindOutput "${mode}" (expected cdn, link or inline)`);
+        }
+        
+        const bundled = this.options.bundleResidual && this.residual?.hasRules() ? this.residual.toCSS() : '';
+        
+        // Compile exactly the classes present in the document
+        const candidates = [...document.querySelectorAll('[class]')].flatMap(el => [...el.classList]);
+        const compiler = new TailwindCompiler({ minify: this.options.minify });
+        const css = await compiler.compile(candidates, [inputCSS, bundled].filter(Boolean).join('\n'));
+        await this.log(`Compiled ${new Set(candidates).size} classes into ${css.length} bytes of CSS`);
+        
+        if (mode === 'link') {
+            await this.writeOutput('tailwind.css', css);
+            const link = document.createElement('link');
+            link.setAttribute('rel', 'stylesheet');
+            link.setAttribute('href', 'tailwind.css');
+            head.appendChild(link);
+        } else {
+            const style = document.createElement('style');
+            style.textContent = css;
+            head.appendChild(style);
+        }
+        
+        this.report(`✓ Compiled Tailwind stylesheet (${(css.length / 1024).toFixed(1)} KB, ${mode})`);
+        return css;
+    }
+
+    tailwindInputCSS() {
+        // Everything the compiler needs besides the classes: theme, components, exclusions.
+        // v3 takes the theme and exclusions from its config, leaving the :root variables
+        if (this.dialect.target === 'v3') {
+            const rootCSS = this.options.includeTheme && this.theme.hasTokens() ? this.theme.toRootCSS() : '';
+            return [rootCSS, this.consolidator?.toCSS()].filter(Boolean).join('\n');
+        }
+        return [this.tailwindThemeCSS(), this.consolidator?.toCSS(), this.shieldCSS()].filter(Boolean).join('\n');
+    }
+
+    tailwindConfigOptions() {
+        // What tailwindThemeCSS() and shieldCSS() add to v4's input, for a v3 config
+        return {
+            tokens: this.options.includeTheme,
+            darkMode: this.options.darkMode === 'class' ? ['variant', '&:where(.dark, .dark *)'] : null,
+            screens: Object.fromEntries(this.customBreakpoints().map(([name, viewport]) => [name, `${viewport.width}px`])),
+            blocklist: [...(this.shieldedClasses || [])]
+        };
+    }
+
+    shieldCSS() {
+        // Kept original classes that happen to be utility names must not generate any CSS
+        if (!this.shieldedClasses?.size) {
+            return '';
+        }
+        return `@source not inline("${[...this.shieldedClasses].join(' ')}");\n`;
+    }
+
+    tailwindThemeCSS(includeTokens = this.options.includeTheme) {
+        // Extra @theme input: extracted tokens, any breakpoint Tailwind doesn't know and
+        // the class-based dark: variant
+        const parts = [];
+        
+        if (includeTokens && this.theme.hasTokens()) {
+            parts.push(this.theme.toThemeCSS());
+        }
+        
+        const customBreakpoints = this.customBreakpoints().map(([name, viewport]) => `    --breakpoint-${name}: ${viewport.width}px;`);
+        if (customBreakpoints.length > 0) {
+            parts.push(`@theme {\n${customBreakpoints.join('\n')}\n}\n`);
+        }
+        
+        if (this.options.darkMode === 'class') {
+            parts.push('@custom-variant dark (&:where(.dark, .dark *));\n');
+        }
+        
+        return parts.join('\n');
+    }
+
+    customBreakpoints() {
+        // [name, viewport] for the breakpoints Tailwind doesn't know at that width
+        return Object.entries(this.breakpoints)
+            .filter(([name, viewport]) => name !== 'default' && BREAKPOINTS[name]?.width !== viewport.width);
+    }
+}
+
+/**
+ * Convert an HTML page and its CSS to Tailwind classes in memory.
+ *
+ * @param {object} input
+ * @param {string} input.html - HTML document source; its <style> blocks and style attributes are converted too
+ * @param {string|string[]} [input.css] - Stylesheet source(s), in cascade order
+ * @param {object} [input.options] - Converter options; set outputDir to also write files,
+ *   cssPaths (matching css) so the page's <link> to the converted CSS can be found and removed,
+ *   htmlPath so the page's other local stylesheets can be read, and externalStyles to leave some as they are
+ * @returns {Promise<{html: string, classes: object, breakpoints: object, theme: object|null, diagnostics: object}>}
+ */
+async function convert({ html, css = [], options = {} }) {
+    const converter = new CSSToTailwindConverter({ quiet: true, ...options });
+    return converter.convert(html, css);
+}
+
+/**
+ * Convert every page of a site that shares the same stylesheets.
+ *
+ * @param {object} input
+ * @param {string} input.pages - Directory or glob of HTML pages
+ * @param {string[]} input.cssPaths - Shared stylesheet paths, in cascade order
+ * @param {object} [input.options] - Converter options; outputDir receives one folder per page
+ * @returns {Promise<{pages: object[], selectors: object}>}
+ */
+async function convertProject({ pages, cssPaths, options = {} }) {
+    // Required lazily: lib/project builds on this module
+    const { ProjectConverter } = require('./lib/project');
+    return new ProjectConverter({ ...options, pages, cssPaths }).run();
+}
+
+// Main execution
+async function main() {
+    const converter = new CSSToTailwindConverter({
+        htmlPath: 'test/input/index.html',
+        cssPaths: ['test/input/style.css'],
+        outputDir: 'test/output',
+        logs: true
+    });
+    await converter.run();
+}
+
+module.exports = { convert, convertProject, CSSToTailwindConverter, BREAKPOINTS, BREAKPOINT_NAME, CLASS_MERGES, DARK_MODES, OUTPUT_FORMATS, TARGETS };
+
+if (require.main === module) {
+    main().catch(() => {
+        // run() has already reported the error
+        process.exitCode = 1;
+    });
+}
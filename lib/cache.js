@@ -0,0 +1,292 @@
+// Content-hash cache of extraction and translation results, so a re-run after a small edit
+// only captures and translates what changed
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const safeParser = require('postcss-safe-parser');
+const selectorParser = require('postcss-selector-parser');
+const { GLOBAL_AT_RULES, DYNAMIC_PSEUDO_CLASSES, LEGACY_PSEUDO_ELEMENTS } = require('./residual');
+
+// Bumped whenever cached data changes shape or meaning
+const CACHE_VERSION = 3;
+
+// Per-element stage results, reusable when neither the element nor its styles changed
+const ELEMENT_FIELDS = ['matchedRules', 'matchedSources', 'mediaRules', 'pseudoElementRules', 'stateRules', 'relationalRules'];
+
+class StyleCache {
+    constructor(options = {}) {
+        this.options = {
+            dir: null, // Where the cache files live; nothing is cached without one
+            ...options
+        };
+        this.translations = {};
+        this.usedTranslations = {};
+        this.translationContext = null;
+        this.rules = []; // [hash, first line, last line] of each rule in the converted CSS, see ruleKeys()
+        this.stats = { breakpoints: 0, elements: 0, translations: 0 };
+    }
+
+    hash(...parts) {
+        const hash = crypto.createHash('sha1');
+        for (const part of parts) {
+            hash.update(typeof part === 'string' ? part : JSON.stringify(part));
+            hash.update('\0');
+        }
+        return hash.digest('hex');
+    }
+
+    ruleKeys(css, document, inheritedProperties) {
+        // element-id-N -> hash of the CSS that can style it: the rules its selectors match at
+        // rest once states and pseudo-elements are taken out, and the inherited declarations
+        // of its ancestors' rules. What can't be matched that way counts for every element
+        const own = new Map();
+        const inherited = new Map();
+        const everywhere = [];
+        const add = (map, element, text) => map.set(element, [...(map.get(element) || []), text]);
+        
+        this.rules = [];
+        const root = safeParser(css);
+        root.walkAtRules(atRule => {
+            if (GLOBAL_AT_RULES.has(atRule.name.toLowerCase().replace(/^-[a-z]+-/, '')) || atRule.name.toLowerCase() === 'import') {
+                everywhere.push(atRule.toString());
+            }
+        });
+        root.walkRules(rule => {
+            const context = [];
+            for (let parent = rule.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+                if (GLOBAL_AT_RULES.has(parent.name.toLowerCase().replace(/^-[a-z]+-/, ''))) {
+                    return; // Keyframes: already counted with their at-rule
+                }
+                context.unshift(`@${parent.name} ${parent.params}`);
+            }
+            // Without its line, so an edit above doesn't count as a change; moved lines are
+            // followed with the rule hashes instead
+            const text = `${context.join(' ')} ${rule.toString()}`;
+            this.rules.push([this.hash(text), rule.source?.start?.line, rule.source?.end?.line]);
+            const inheritedText = rule.nodes
+                .filter(node => node.type === 'decl' && inheritedProperties.has(node.prop.toLowerCase()))
+                .map(String)
+                .join(';');
+            
+            for (const selector of rule.selectors) {
+                let elements = null;
+                try {
+                    const resting = this.restingSelector(selector);
+                    elements = resting === null ? null : document.querySelectorAll(resting);
+                } catch {
+                    // A selector the DOM can't evaluate
+                }
+                if (!elements) {
+                    everywhere.push(text);
+                    continue;
+                }
+                for (const element of elements) {
+                    add(own, element, text);
+                    if (inheritedText) {
+                        add(inherited, element, `${context.join(' ')} ${inheritedText}`);
+                    }
+                }
+            }
+        });
+        
+        const everywhereHash = this.hash(everywhere);
+        const keys = {};
+        for (const element of document.querySelectorAll('[data-element-id]')) {
+            const ancestors = [];
+            for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+                ancestors.push(inherited.get(parent) || []);
+            }
+            keys[`element-id-${element.getAttribute('data-element-id')}`] = this.hash(everywhereHash, own.get(element) || [], ancestors);
+        }
+        return keys;
+    }
+
+    restingSelector(selector) {
+        // The selector without dynamic pseudo-classes and pseudo-elements, which matches the
+        // elements capture can put in those states; null when one sits inside :not() or :is()
+        let nested = false;
+        const result = selectorParser(selectors => {
+            selectors.walkPseudos(pseudo => {
+                const name = pseudo.value.replace(/^::?/, '').toLowerCase();
+                const pseudoElement = pseudo.value.startsWith('::') || LEGACY_PSEUDO_ELEMENTS.has(name);
+                if (!pseudoElement && !DYNAMIC_PSEUDO_CLASSES.has(name)) {
+                    return;
+                }
+                if (pseudo.parent.parent.type !== 'root') {
+                    nested = true;
+                    return;
+                }
+                // A compound left empty becomes *
+                const prev = pseudo.prev();
+                const next = pseudo.next();
+                if ((!prev || prev.type === 'combinator') && (!next || next.type === 'combinator')) {
+                    pseudo.replaceWith(selectorParser.universal());
+                } else {
+                    pseudo.remove();
+                }
+            });
+        }).processSync(selector);
+        return nested ? null : result;
+    }
+
+    async read(name) {
+        try {
+            const data = JSON.parse(await fs.readFile(path.join(this.options.dir, name), 'utf-8'));
+            return data.version === CACHE_VERSION ? data : null;
+        } catch {
+            return null; // Missing or unreadable: start over
+        }
+    }
+
+    async write(name, data) {
+        await fs.mkdir(this.options.dir, { recursive: true });
+        await fs.writeFile(path.join(this.options.dir, name), JSON.stringify({ version: CACHE_VERSION, ...data }));
+    }
+
+    async loadBreakpoint(breakpoint, key) {
+        // The breakpoint's entry if it was captured with the same viewport, unconverted
+        // stylesheets and options
+        const entry = await this.read(`${breakpoint}.json`);
+        return entry?.key === key ? entry : null;
+    }
+
+    restoreStage(entry, stage, elementKeys, pageHash) {
+        // The whole breakpoint when the HTML and converted CSS are unchanged too; false if
+        // anything is missing
+        if (!entry || entry.page !== pageHash) {
+            return false;
+        }
+        const ids = Object.keys(elementKeys);
+        if (!ids.every(elementId => entry.elements[elementKeys[elementId]])) {
+            return false;
+        }
+        
+        stage.cssDisabled = {};
+        for (const elementId of ids) {
+            const cached = entry.elements[elementKeys[elementId]];
+            stage.cssDisabled[elementId] = entry.styles[cached.disabled];
+        }
+        this.applyElements(stage, new Map(ids.map(elementId => [elementId, entry.elements[elementKeys[elementId]]])));
+        this.stats.breakpoints++;
+        return true;
+    }
+
+    reusableElements(entry, stage, elementKeys) {
+        // elementId -> cached results, for elements whose markup, rules (see ruleKeys()) and
+        // computed styles with and without CSS are what they were
+        const reusable = new Map();
+        if (!entry) {
+            return reusable;
+        }
+        
+        for (const [elementId, elementKey] of Object.entries(elementKeys)) {
+            const cached = entry.elements[elementKey];
+            if (cached &&
+                cached.disabled === this.hash(stage.cssDisabled[elementId] || null) &&
+                cached.enabled === this.hash(stage.cssEnabled[elementId] || null)) {
+                reusable.set(elementId, cached);
+            }
+        }
+        
+        // The same rules can sit on other lines now
+        const moved = this.lineMover(entry.rules || []);
+        for (const [elementId, cached] of reusable) {
+            if (cached.matchedSources) {
+                const matchedSources = Object.fromEntries(Object.entries(cached.matchedSources).map(([prop, source]) =>
+                    [prop, source.line && source.selector !== 'style attribute' ? { ...source, line: moved(source.line) } : source]));
+                reusable.set(elementId, { ...cached, matchedSources });
+            }
+        }
+        this.stats.elements += reusable.size;
+        return reusable;
+    }
+
+    lineMover(previousRules) {
+        // line -> where the rule holding it sits in this run's CSS, by rule hash
+        const current = new Map();
+        for (const [hash, start] of this.rules) {
+            current.set(hash, [...(current.get(hash) || []), start]);
+        }
+        const shifts = previousRules.map(([hash, start, end]) => {
+            const starts = current.get(hash);
+            return [start, end, starts?.length ? starts.shift() - start : 0];
+        });
+        
+        return line => {
+            // Rules are in line order: binary search for the one holding it
+            let low = 0;
+            let high = shifts.length - 1;
+            while (low <= high) {
+                const middle = (low + high) >> 1;
+                const [start, end, shift] = shifts[middle];
+                if (line < start) {
+                    high = middle - 1;
+                } else if (line > end) {
+                    low = middle + 1;
+                } else {
+                    return line + shift;
+                }
+            }
+            return line;
+        };
+    }
+
+    applyElements(stage, reusable, fields = ELEMENT_FIELDS) {
+        for (const field of fields) {
+            stage[field] = stage[field] || {};
+            for (const [elementId, cached] of reusable) {
+                if (cached[field]) {
+                    stage[field][elementId] = cached[field];
+                }
+            }
+        }
+    }
+
+    async saveBreakpoint(breakpoint, key, pageHash, stage, elementKeys) {
+        // Only this run's elements are kept, so the file doesn't grow with every edit
+        const styles = {};
+        const elements = {};
+        
+        for (const [elementId, elementKey] of Object.entries(elementKeys)) {
+            const disabled = this.hash(stage.cssDisabled?.[elementId] || null);
+            styles[disabled] = stage.cssDisabled?.[elementId] || null;
+            const cached = { disabled, enabled: this.hash(stage.cssEnabled?.[elementId] || null) };
+            for (const field of ELEMENT_FIELDS) {
+                if (stage[field]?.[elementId]) {
+                    cached[field] = stage[field][elementId];
+                }
+            }
+            elements[elementKey] = cached;
+        }
+        
+        await this.write(`${breakpoint}.json`, { key, page: pageHash, rules: this.rules, styles, elements });
+    }
+
+    async loadTranslations(context) {
+        // Element inputs -> classes, valid as long as the theme and options are the same
+        this.translationContext = context;
+        const entry = await this.read('translations.json');
+        this.translations = entry?.context === context ? entry.elements : {};
+        this.usedTranslations = {};
+    }
+
+    translation(key) {
+        if (this.translations[key] === undefined) {
+            return undefined;
+        }
+        this.stats.translations++;
+        this.usedTranslations[key] = this.translations[key];
+        return this.translations[key];
+    }
+
+    storeTranslation(key, classes) {
+        this.usedTranslations[key] = classes;
+    }
+
+    async saveTranslations() {
+        await this.write('translations.json', { context: this.translationContext, elements: this.usedTranslations });
+    }
+}
+
+module.exports = { StyleCache };
@@ -0,0 +1,255 @@
+// Tidies converted class lists: longhands merged back into shorthands, redundant classes
+// dropped, Tailwind's canonical order, and repeated lists pulled out into @apply components
+
+// Longhand utilities that merge into a shorthand when they share a value: `pairs` cover
+// two parts, `all` covers every part
+const SHORTHANDS = [
+    { parts: { t: 'pt', r: 'pr', b: 'pb', l: 'pl' }, pairs: { py: ['t', 'b'], px: ['l', 'r'] }, all: 'p' },
+    { parts: { t: 'mt', r: 'mr', b: 'mb', l: 'ml' }, pairs: { my: ['t', 'b'], mx: ['l', 'r'] }, all: 'm' },
+    { parts: { t: 'scroll-pt', r: 'scroll-pr', b: 'scroll-pb', l: 'scroll-pl' }, pairs: { 'scroll-py': ['t', 'b'], 'scroll-px': ['l', 'r'] }, all: 'scroll-p' },
+    { parts: { t: 'scroll-mt', r: 'scroll-mr', b: 'scroll-mb', l: 'scroll-ml' }, pairs: { 'scroll-my': ['t', 'b'], 'scroll-mx': ['l', 'r'] }, all: 'scroll-m' },
+    { parts: { t: 'top', r: 'right', b: 'bottom', l: 'left' }, pairs: { 'inset-y': ['t', 'b'], 'inset-x': ['l', 'r'] }, all: 'inset' },
+    { parts: { t: 'border-t', r: 'border-r', b: 'border-b', l: 'border-l' }, pairs: { 'border-y': ['t', 'b'], 'border-x': ['l', 'r'] }, all: 'border' },
+    {
+        parts: { tl: 'rounded-tl', tr: 'rounded-tr', br: 'rounded-br', bl: 'rounded-bl' },
+        pairs: { 'rounded-t': ['tl', 'tr'], 'rounded-b': ['bl', 'br'], 'rounded-l': ['tl', 'bl'], 'rounded-r': ['tr', 'br'] },
+        all: 'rounded'
+    },
+    { parts: { x: 'gap-x', y: 'gap-y' }, pairs: {}, all: 'gap' }
+];
+
+class ClassConsolidator {
+    constructor(options = {}) {
+        this.options = {
+            stateVariants: [], // Variants that only add to the base styles (hover, focus, ...)
+            componentMinCount: 3, // Elements that must share a class list before it becomes a component
+            lookupName: className => className, // Name the design system knows a class by, for v3 classes
+            ...options
+        };
+        this.designSystem = null;
+        this.components = [];
+    }
+
+    useDesignSystem(designSystem) {
+        // From TailwindCompiler.loadDesignSystem(), with the page's theme loaded
+        this.designSystem = designSystem;
+    }
+
+    merge(classes) {
+        // Per variant (sm:hover:, before:, ...) so only classes that apply together merge
+        const byVariant = new Map();
+        for (const className of new Set(classes)) {
+            const { variant, utility } = this.splitVariant(className);
+            byVariant.set(variant, [...(byVariant.get(variant) || []), utility]);
+        }
+        
+        const merged = [];
+        for (const [variant, utilities] of byVariant) {
+            merged.push(...this.mergeShorthands(utilities).map(utility => variant + utility));
+        }
+        return this.dropStateDuplicates(merged);
+    }
+
+    mergeShorthands(utilities) {
+        let remaining = utilities;
+        
+        for (const shorthand of SHORTHANDS) {
+            // `${sign}|${value}` -> parts set to it, and parts a shorthand already covers
+            const parts = new Map();
+            const covered = new Map();
+            for (const utility of remaining) {
+                const match = this.matchShorthand(shorthand, utility);
+                if (!match) {
+                    continue;
+                }
+                const key = `${match.sign}|${match.value}`;
+                if (match.part) {
+                    parts.set(key, { ...parts.get(key), [match.part]: utility });
+                } else {
+                    covered.set(key, new Set([...(covered.get(key) || []), ...match.covers]));
+                }
+            }
+            
+            const dropped = new Set();
+            const added = [];
+            for (const [key, found] of parts) {
+                const [sign, value] = key.split('|');
+                const name = prefix => `${sign}${prefix}${value === '' ? '' : `-${value}`}`;
+                const consumed = new Set(Object.keys(found).filter(part => covered.get(key)?.has(part)));
+                
+                if (Object.keys(shorthand.parts).every(part => found[part])) {
+                    Object.keys(found).forEach(part => consumed.add(part));
+                    added.push(name(shorthand.all));
+                } else {
+                    for (const [pair, [first, second]] of Object.entries(shorthand.pairs)) {
+                        if (found[first] && found[second] && !consumed.has(first) && !consumed.has(second)) {
+                            consumed.add(first);
+                            consumed.add(second);
+                            added.push(name(pair));
+                        }
+                    }
+                }
+                consumed.forEach(part => dropped.add(found[part]));
+            }
+            
+            remaining = [...remaining.filter(utility => !dropped.has(utility)), ...added];
+        }
+        
+        return [...new Set(remaining)];
+    }
+
+    matchShorthand(shorthand, utility) {
+        // { sign, value, part } for a longhand, { sign, value, covers } for a shorthand;
+        // longhands and pairs are tried first since border- also prefixes border-t-
+        const sign = utility.startsWith('-') ? '-' : '';
+        const unsigned = utility.slice(sign.length);
+        const valueAfter = prefix => {
+            if (unsigned === prefix) {
+                return '';
+            }
+            return unsigned.startsWith(`${prefix}-`) ? unsigned.slice(prefix.length + 1) : null;
+        };
+        
+        for (const [part, prefix] of Object.entries(shorthand.parts)) {
+            const value = valueAfter(prefix);
+            if (value !== null) {
+                return { sign, value, part };
+            }
+        }
+        for (const [pair, covers] of Object.entries(shorthand.pairs)) {
+            const value = valueAfter(pair);
+            if (value !== null) {
+                return { sign, value, covers };
+            }
+        }
+        const value = valueAfter(shorthand.all);
+        return value === null ? null : { sign, value, covers: Object.keys(shorthand.parts) };
+    }
+
+    dropStateDuplicates(classes) {
+        // hover:p-4 next to p-4 (or hover:pt-4 next to p-4) changes nothing
+        const present = new Set(classes);
+        return classes.filter(className => {
+            const { variant, utility } = this.splitVariant(className);
+            const variants = variant.split(':').filter(Boolean);
+            const last = variants.pop();
+            if (!this.options.stateVariants.includes(last)) {
+                return true;
+            }
+            const base = variants.map(name => `${name}:`).join('');
+            return !this.coveringClasses(utility).some(covering => present.has(base + covering));
+        });
+    }
+
+    coveringClasses(utility) {
+        // The utility itself plus the shorthands that set the same value on its side
+        const covering = [utility];
+        for (const shorthand of SHORTHANDS) {
+            const match = this.matchShorthand(shorthand, utility);
+            if (!match?.part) {
+                continue;
+            }
+            const name = prefix => `${match.sign}${prefix}${match.value === '' ? '' : `-${match.value}`}`;
+            const pairs = Object.entries(shorthand.pairs).filter(([, parts]) => parts.includes(match.part));
+            covering.push(name(shorthand.all), ...pairs.map(([pair]) => name(pair)));
+        }
+        return covering;
+    }
+
+    splitVariant(className) {
+        // The last ":" outside brackets and parentheses ends the variant chain
+        let depth = 0;
+        let split = -1;
+        for (let i = 0; i < className.length; i++) {
+            const char = className[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '[' || char === '(') {
+                depth++;
+            } else if (char === ']' || char === ')') {
+                depth--;
+            } else if (char === ':' && depth === 0) {
+                split = i;
+            }
+        }
+        return { variant: className.slice(0, split + 1), utility: className.slice(split + 1) };
+    }
+
+    sort(classes) {
+        // Tailwind's own order (what its Prettier plugin produces); classes it can't generate
+        // come back as unknown, since they never had any effect
+        const unique = [...new Set(classes)];
+        const order = this.designSystem.getClassOrder(unique.map(this.options.lookupName))
+            .map(([, position], index) => [unique[index], position]);
+        const unknown = order.filter(([, position]) => position === null).map(([className]) => className);
+        const sorted = order
+            .filter(([, position]) => position !== null)
+            .sort(([, a], [, b]) => (a < b ? -1 : a > b ? 1 : 0))
+            .map(([className]) => className);
+        return { classes: sorted, unknown };
+    }
+
+    extractComponents(elements) {
+        // elements: [{ classes, originalClasses, tag }]. Returns the component name per
+        // element (or null); the components themselves are kept for toCSS()
+        const groups = new Map();
+        elements.forEach((element, index) => {
+            if (element.classes.length < 2) {
+                return;
+            }
+            const key = element.classes.join(' ');
+            groups.set(key, [...(groups.get(key) || []), index]);
+        });
+        
+        const names = elements.map(() => null);
+        const taken = new Set();
+        for (const [key, indexes] of groups) {
+            if (indexes.length < this.options.componentMinCount) {
+                continue;
+            }
+            const members = indexes.map(index => elements[index]);
+            const name = this.componentName(members, taken);
+            taken.add(name);
+            this.components.push({ name, classes: members[0].classes, count: members.length });
+            indexes.forEach(index => {
+                names[index] = name;
+            });
+        }
+        
+        return names;
+    }
+
+    componentName(members, taken) {
+        // Named after an original class all the elements shared, else their tag
+        const shared = members[0].originalClasses.filter(className =>
+            members.every(member => member.originalClasses.includes(className))
+        );
+        const tags = new Set(members.map(member => member.tag));
+        const candidates = [...shared, ...(tags.size === 1 ? tags : []), 'component']
+            .map(name => name.replace(/[^\w-]/g, '-').replace(/^(?=[\d-])/, 'c-'));
+        
+        const available = name => !taken.has(name) && this.designSystem.getClassOrder([name])[0][1] === null;
+        const base = candidates.find(available);
+        if (base) {
+            return base;
+        }
+        
+        // A Tailwind utility (.container, .flex) can't double as a component
+        const stem = candidates[0];
+        let suffix = 2;
+        while (!available(`${stem}-${suffix}`)) {
+            suffix++;
+        }
+        return `${stem}-${suffix}`;
+    }
+
+    toCSS() {
+        if (this.components.length === 0) {
+            return '';
+        }
+        const rules = this.components.map(({ name, classes }) => `    .${name} {\n        @apply ${classes.join(' ')};\n    }`);
+        return `@layer components {\n${rules.join('\n\n')}\n}\n`;
+    }
+}
+
+module.exports = { ClassConsolidator };
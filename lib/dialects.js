@@ -0,0 +1,214 @@
+// Class vocabulary and output of the Tailwind version the page is converted for. The translator
+// emits v3 names (and some v2 leftovers), the snapper reads v4's theme; both end up in the target's terms
+
+// Tailwind versions a page can be converted for
+const TARGETS = ['v4', 'v3'];
+
+// Names v3 kept from v2 for compatibility, and what replaced them
+const V2_TO_V3 = {
+    'flex-grow': 'grow',
+    'flex-grow-0': 'grow-0',
+    'flex-shrink': 'shrink',
+    'flex-shrink-0': 'shrink-0',
+    'overflow-ellipsis': 'text-ellipsis',
+    'decoration-clone': 'box-decoration-clone',
+    'decoration-slice': 'box-decoration-slice'
+};
+
+// v3 utility -> v4 utility with the same effect. v4 shifted the bottom of several scales down
+// a step (v4's shadow-sm is v3's shadow), so both names exist in v4, meaning different things
+const V3_TO_V4 = {
+    'shadow-sm': 'shadow-xs',
+    'shadow': 'shadow-sm',
+    'drop-shadow-sm': 'drop-shadow-xs',
+    'drop-shadow': 'drop-shadow-sm',
+    'blur-sm': 'blur-xs',
+    'blur': 'blur-sm',
+    'backdrop-blur-sm': 'backdrop-blur-xs',
+    'backdrop-blur': 'backdrop-blur-sm',
+    'outline-none': 'outline-hidden',
+    'ring': 'ring-3'
+};
+for (const side of ['', '-t', '-r', '-b', '-l', '-s', '-e', '-tl', '-tr', '-br', '-bl', '-ss', '-se', '-ee', '-es']) {
+    V3_TO_V4[`rounded${side}-sm`] = `rounded${side}-xs`;
+    V3_TO_V4[`rounded${side}`] = `rounded${side}-sm`;
+}
+const V4_TO_V3 = Object.fromEntries(Object.entries(V3_TO_V4).map(([v3, v4]) => [v4, v3]));
+
+// v4 scale steps v3 doesn't have, as the value they stand for; per utility, sides included
+const V4_ONLY_STEPS = {
+    'rounded': { '4xl': '2rem' }
+};
+
+// Arbitrary-value utilities (lib/utilities) v3 doesn't have; it writes those as [property:value]
+const V4_ONLY_UTILITIES = new Set(['mask', 'perspective', 'filter', 'backdrop-filter', 'transform']);
+
+// Helper classes that switched composition on before v3; both versions compose by themselves
+const COMPOSITION_HELPERS = new Set(['filter', 'backdrop-filter', 'transform']);
+
+// v4 variants v3 doesn't know, as v3 arbitrary variants. dark: follows darkMode
+const V3_VARIANTS = {
+    'not-print': '[@media_not_print]',
+    'not-contrast-more': '[@media_not_all_and_(prefers-contrast:more)]'
+};
+const V3_NOT_DARK = {
+    media: '[@media_not_all_and_(prefers-color-scheme:dark)]',
+    class: '[&:not(:where(.dark,.dark_*))]'
+};
+
+// v3 *-opacity-N utilities, which v4 replaced with a /N modifier on the color, and the
+// color utilities such a modifier can go on
+const OPACITY_UTILITY = /^(bg|text|border|divide|ring|placeholder)-opacity-(\d+|\[[^\]]+\])$/;
+const COLOR_UTILITY = /^(bg|text|border|divide|ring|placeholder)-([a-z]+-\d{2,3}|black|white|current|transparent|\[(color:)?(#|rgb|hsl|oklch)[^\]]*\])$/;
+
+// The v3 Play CDN; v4's browser build is loaded from @tailwindcss/browser
+const RUNTIMES = {
+    v3: 'https://cdn.tailwindcss.com/3.4.17',
+    v4: 'https://cdn.jsdelivr.net/npm/@tailwindcss/browser@4'
+};
+
+// The same runtimes as installed, served in the CDN's place so verification and review work
+// offline. Only v4's browser build is a dependency
+const LOCAL_RUNTIMES = {
+    v4: require.resolve('@tailwindcss/browser')
+};
+
+class TailwindDialect {
+    constructor(options = {}) {
+        this.options = {
+            target: 'v4',
+            darkMode: 'media', // Decides how v3 writes not-dark:
+            ...options
+        };
+        if (!TARGETS.includes(this.options.target)) {
+            throw new Error(`Unknown target "${this.options.target}" (expected ${TARGETS.join(', ')})`);
+        }
+    }
+
+    get target() {
+        return this.options.target;
+    }
+
+    translated(prop, classes) {
+        // The translator's classes for one declaration in the target's terms, '' for none
+        return classes.split(' ')
+            .filter(className => className && !COMPOSITION_HELPERS.has(className))
+            .map(className => {
+                // It writes text-overflow: clip as overflow-clip, which is overflow: clip since v3
+                if (prop === 'text-overflow' && className === 'overflow-clip') {
+                    return 'text-clip';
+                }
+                const v3 = V2_TO_V3[className] || className;
+                return this.target === 'v4' ? this.withSign(v3, name => V3_TO_V4[name]) : v3;
+            })
+            .join(' ');
+    }
+
+    fromV4(className) {
+        // A v4 class (from the snapper or theme) in the target's terms
+        if (this.target === 'v4') {
+            return className;
+        }
+        return this.withSign(className, name => {
+            if (V4_TO_V3[name]) {
+                return V4_TO_V3[name];
+            }
+            const [, prefix, step] = name.match(/^([a-z-]+?)-([\w.]+)$/) || [];
+            const value = prefix && V4_ONLY_STEPS[prefix.split('-')[0]]?.[step];
+            return value ? `${prefix}-[${value}]` : null;
+        });
+    }
+
+    takesArbitraryValues(prefix) {
+        return this.target === 'v4' || !V4_ONLY_UTILITIES.has(prefix);
+    }
+
+    designSystemName(className) {
+        // The installed Tailwind is v4: a v3 class is looked up by its v4 equivalent
+        if (this.target === 'v4') {
+            return className;
+        }
+        const split = this.variantEnd(className);
+        const utility = className.slice(split);
+        // bg-opacity-50 has no v4 name; it sorts with the colors it applies to
+        const opacity = utility.match(OPACITY_UTILITY);
+        if (opacity) {
+            return `${className.slice(0, split)}${opacity[1]}-current/${opacity[2]}`;
+        }
+        return className.slice(0, split) + this.withSign(utility, name => V3_TO_V4[name]);
+    }
+
+    withSign(className, rename) {
+        // -mt-4 is renamed as mt-4; important (!) and the sign stay where they were
+        const [, important, sign, name] = className.match(/^(!?)(-?)(.*)$/);
+        const renamed = rename(name);
+        return renamed ? `${important}${sign}${renamed}` : className;
+    }
+
+    variantEnd(className) {
+        // Index after the last ":" outside brackets
+        let depth = 0;
+        let end = 0;
+        for (let i = 0; i < className.length; i++) {
+            const char = className[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '[' || char === '(') {
+                depth++;
+            } else if (char === ']' || char === ')') {
+                depth--;
+            } else if (char === ':' && depth === 0) {
+                end = i + 1;
+            }
+        }
+        return end;
+    }
+
+    variant(name) {
+        // not-dark:, not-print:, ... are v4 variants; v3 writes them as media or selector variants
+        if (this.target === 'v4') {
+            return name;
+        }
+        if (name === 'not-dark') {
+            return V3_NOT_DARK[this.options.darkMode];
+        }
+        return V3_VARIANTS[name] || name;
+    }
+
+    fontSizeOnly(key, value) {
+        // text-sm sets a line-height too; this is the size alone
+        return this.target === 'v4' ? `text-(length:--text-${key})` : `text-[length:${value}]`;
+    }
+
+    classList(classes) {
+        // v4 dropped bg-opacity-50 and friends: the opacity moves onto the color (bg-red-500/50).
+        // One without a recognisable color is left for sorting to report as unknown
+        if (this.target === 'v3') {
+            return classes;
+        }
+        const result = [...classes];
+        for (const className of classes) {
+            const split = this.variantEnd(className);
+            const match = className.slice(split).match(OPACITY_UTILITY);
+            const color = match && result.find(other => this.variantEnd(other) === split &&
+                other.startsWith(className.slice(0, split)) && COLOR_UTILITY.test(other.slice(split)) &&
+                other.slice(split).startsWith(`${match[1]}-`));
+            if (color) {
+                result.splice(result.indexOf(className), 1);
+                result[result.indexOf(color)] = `${color}/${match[2]}`;
+            }
+        }
+        return result;
+    }
+
+    runtime() {
+        return RUNTIMES[this.target];
+    }
+
+    localRuntime() {
+        // The runtime's file in node_modules, or null when it isn't installed
+        return LOCAL_RUNTIMES[this.target] || null;
+    }
+}
+
+module.exports = { TailwindDialect, TARGETS };
@@ -0,0 +1,113 @@
+// Decisions made in review, per element and breakpoint: generated classes accepted as they are,
+// replaced by an edited list, or pinned so later runs keep the list whatever the CSS becomes
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Bumped whenever the file changes shape
+const OVERRIDES_VERSION = 1;
+
+// accepted: the generated classes are right; edited: replaced while the element's CSS stays
+// the same; pinned: replaced for good
+const DECISIONS = ['accepted', 'edited', 'pinned'];
+
+class ClassOverrides {
+    constructor(options = {}) {
+        this.options = {
+            file: null, // Where decisions are read from and saved to; none without one
+            ...options
+        };
+        // element-id-N -> { startTag, breakpoints: { name: { decision, classes, inputs } } }
+        this.elements = {};
+    }
+
+    async load() {
+        // A missing file means nothing was decided yet; an unreadable one is an error, since
+        // silently dropping someone's decisions would be worse
+        this.elements = {};
+        if (!this.options.file) {
+            return this.elements;
+        }
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(this.options.file, 'utf-8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return this.elements;
+            }
+            throw new Error(`Could not read overrides file ${this.options.file}: ${err.message}`);
+        }
+        if (data.version !== OVERRIDES_VERSION) {
+            throw new Error(`Overrides file ${this.options.file} has version ${data.version} (expected ${OVERRIDES_VERSION})`);
+        }
+        this.elements = data.elements || {};
+        return this.elements;
+    }
+
+    async save() {
+        await fs.mkdir(path.dirname(this.options.file), { recursive: true });
+        await fs.writeFile(this.options.file, JSON.stringify({ version: OVERRIDES_VERSION, elements: this.elements }, null, 2));
+    }
+
+    hash(inputs) {
+        // The element's translation inputs at one breakpoint, to tell whether its CSS changed
+        return crypto.createHash('sha1').update(JSON.stringify(inputs)).digest('hex');
+    }
+
+    get(elementId, breakpoint) {
+        return this.elements[elementId]?.breakpoints[breakpoint] || null;
+    }
+
+    set(elementId, breakpoint, { decision, classes, inputs, startTag }) {
+        if (!DECISIONS.includes(decision)) {
+            throw new Error(`Unknown decision "${decision}" (expected ${DECISIONS.join(', ')})`);
+        }
+        const entry = this.elements[elementId]?.startTag === startTag
+            ? this.elements[elementId]
+            : { startTag, breakpoints: {} };
+        entry.breakpoints[breakpoint] = { decision, classes: classes.split(/\s+/).filter(Boolean).join(' '), inputs };
+        this.elements[elementId] = entry;
+    }
+
+    remove(elementId, breakpoint) {
+        const entry = this.elements[elementId];
+        if (!entry) {
+            return;
+        }
+        delete entry.breakpoints[breakpoint];
+        if (Object.keys(entry.breakpoints).length === 0) {
+            delete this.elements[elementId];
+        }
+    }
+
+    elementIds(breakpoint) {
+        // Elements with a decision at this breakpoint, whether or not the CSS styles them
+        return Object.keys(this.elements).filter(elementId => this.elements[elementId].breakpoints[breakpoint]);
+    }
+
+    resolve(elementId, breakpoint, startTag, inputHash, generated) {
+        // { classes, decision, stale } for this run: the decision's classes, or the generated
+        // ones with the reason a decision no longer applies
+        const override = this.get(elementId, breakpoint);
+        if (!override) {
+            return { classes: generated, decision: null, stale: null };
+        }
+        if (this.elements[elementId].startTag !== startTag) {
+            return { classes: generated, decision: override.decision, stale: 'the element changed' };
+        }
+        if (override.decision === 'pinned') {
+            return { classes: override.classes, decision: override.decision, stale: null };
+        }
+        if (override.inputs !== inputHash) {
+            return { classes: generated, decision: override.decision, stale: 'its CSS changed' };
+        }
+        return {
+            classes: override.decision === 'edited' ? override.classes : generated,
+            decision: override.decision,
+            stale: null
+        };
+    }
+}
+
+module.exports = { ClassOverrides, DECISIONS };
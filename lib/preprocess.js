@@ -0,0 +1,164 @@
+// Turns the input CSS into what the browser passes capture: cleaned, parsed into an AST and
+// with shorthand declarations expanded into longhands, at-rules and !important intact
+
+const postcss = require('postcss');
+const safeParser = require('postcss-safe-parser');
+const CleanCSS = require('clean-css');
+const { expand: expandShorthand } = require('inline-style-expand-shorthand');
+
+// At-rules whose declarations are descriptors, not properties to expand
+const DESCRIPTOR_AT_RULES = new Set(['font-face', 'property', 'counter-style', 'font-feature-values', 'page']);
+
+// Shorthands the expander gets wrong (it reads transition's timing function as its delay);
+// the browser splits them instead
+const UNEXPANDED_SHORTHANDS = new Set(['transition']);
+
+function expandDeclaration(prop, value) {
+    // [[longhand, value], ...], or [[prop, value]] for anything that isn't a known shorthand.
+    // The expander names longhands in camelCase (marginTop)
+    const expanded = !UNEXPANDED_SHORTHANDS.has(prop) && expandShorthand({ [prop]: value });
+    const longhands = Object.entries(expanded || { [prop]: value })
+        .map(([longhand, longhandValue]) => [longhand.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`), longhandValue]);
+    // It also splits on commas inside functions, leaving a parenthesis open that would
+    // swallow the rest of the stylesheet
+    return longhands.every(([, longhandValue]) => balancedParentheses(longhandValue)) ? longhands : [[prop, value]];
+}
+
+function balancedParentheses(value) {
+    let depth = 0;
+    for (const char of value.replace(/(["'])(?:\\.|(?!\1).)*\1/g, '')) {
+        depth += char === '(' ? 1 : char === ')' ? -1 : 0;
+        if (depth < 0) {
+            return false;
+        }
+    }
+    return depth === 0;
+}
+
+class CSSPreprocessor {
+    constructor(options = {}) {
+        this.options = {
+            clean: true, // Merge and restructure rules with clean-css first
+            ...options
+        };
+        this.diagnostics = []; // { message, line, column } for input the browser would skip
+    }
+
+    process(css) {
+        // Parsed the way the browser recovers from errors, so clean-css only sees what the
+        // browser would apply and can't mis-recover on its own
+        const root = safeParser(css);
+        this.diagnose(css, root);
+        this.normalize(root);
+        
+        const cleaned = this.options.clean ? this.clean(root.toString()) : root.toString();
+        // clean-css passes through what the browser keeps for var() (font-size: font-size:var(--x)),
+        // which the strict parser rejects
+        const processed = safeParser(cleaned);
+        this.expandShorthands(processed);
+        return processed.toString();
+    }
+
+    diagnose(css, root) {
+        // The strict parser stops at the first syntax error; the browser, like the safe
+        // parser, skips past it, so it's reported rather than fatal
+        try {
+            postcss.parse(css);
+        } catch (err) {
+            if (err.name !== 'CssSyntaxError') {
+                throw err;
+            }
+            this.addDiagnostic(err.reason, err.line, err.column);
+        }
+        
+        root.walk(node => {
+            // Text the safe parser couldn't make a declaration of ends up in whitespace raws
+            this.diagnoseSkipped(css, node.raws.before, node.source.start.offset);
+            if (node.nodes && node.source.end) {
+                this.diagnoseSkipped(css, node.raws.after, node.source.end.offset - 1);
+            }
+            if (node.type !== 'decl') {
+                return;
+            }
+            
+            const { line, column } = node.source.start;
+            if (node.parent.type === 'root') {
+                this.addDiagnostic(`Declaration outside a rule: ${node.prop}`, line, column);
+            } else if (!node.value.trim() && !node.prop.startsWith('--')) {
+                this.addDiagnostic(`Empty value for ${node.prop}`, line, column);
+            }
+        });
+        this.diagnoseSkipped(css, root.raws.after, css.length);
+    }
+
+    diagnoseSkipped(css, raw, rawEnd) {
+        // raw ends where rawEnd starts in the input
+        const start = raw ? raw.search(/\S/) : -1;
+        if (start === -1) {
+            return;
+        }
+        const lines = css.slice(0, rawEnd - raw.length + start).split('\n');
+        this.addDiagnostic(`Skipped invalid text: ${raw.trim()}`, lines.length, lines[lines.length - 1].length + 1);
+    }
+
+    addDiagnostic(message, line, column) {
+        // The strict parser and the walk can land on the same spot; the first report wins
+        if (line !== null && this.diagnostics.some(d => d.line === line && d.column === column)) {
+            return;
+        }
+        this.diagnostics.push({ message, line, column });
+    }
+
+    normalize(root) {
+        // Drops what the browser would ignore, leaving plain text clean-css reads as intended
+        root.walk(node => {
+            if (node.type === 'decl' && !node.value.trim() && !node.prop.startsWith('--')) {
+                node.remove();
+                return;
+            }
+            node.raws = {};
+        });
+        root.raws = {};
+    }
+
+    clean(css) {
+        // Positions in its messages refer to the normalized text, not the input, so only
+        // the message is kept
+        const cleaned = new CleanCSS({ level: 2, format: 'beautify' }).minify(css);
+        for (const message of [...cleaned.errors, ...cleaned.warnings]) {
+            this.addDiagnostic(message.replace(/ at \d+:\d+/, ''), null, null);
+        }
+        return cleaned.styles;
+    }
+
+    expandShorthands(root) {
+        root.walkDecls(decl => {
+            if (decl.prop.startsWith('--') || this.insideDescriptorAtRule(decl)) {
+                return;
+            }
+            // var() may stand for several values at once; only the browser can split it
+            if (/var\(/i.test(decl.value)) {
+                return;
+            }
+            
+            const prop = decl.prop.toLowerCase();
+            const longhands = expandDeclaration(prop, decl.value);
+            if (longhands.length === 1 && longhands[0][0] === prop) {
+                return;
+            }
+            // Clones keep decl.important, which postcss holds apart from the value
+            decl.replaceWith(longhands.map(([longhand, value]) => decl.clone({ prop: longhand, value })));
+        });
+    }
+
+    insideDescriptorAtRule(node) {
+        for (let parent = node.parent; parent; parent = parent.parent) {
+            if (parent.type === 'atrule' && DESCRIPTOR_AT_RULES.has(parent.name.toLowerCase())) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+module.exports = { CSSPreprocessor, expandDeclaration };
@@ -0,0 +1,203 @@
+// Converts a set of HTML pages sharing the same stylesheets with one browser
+
+const fs = require('fs').promises;
+const path = require('path');
+const { chromium } = require('playwright');
+const { CSSToTailwindConverter } = require('../converter');
+
+const HTML_EXTENSIONS = new Set(['.html', '.htm']);
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+class ProjectConverter {
+    constructor(options = {}) {
+        this.options = {
+            pages: null, // Directory or glob of HTML pages
+            cssPaths: [],
+            outputDir: null,
+            quiet: false,
+            ...options
+        };
+    }
+
+    async run() {
+        const pagePaths = await this.resolvePages(this.options.pages);
+        if (pagePaths.length === 0) {
+            throw new Error(`No HTML pages found for ${this.options.pages}`);
+        }
+        
+        // Read once; each page finds its own <style> blocks and other linked stylesheets
+        const css = [];
+        for (const cssPath of this.options.cssPaths) {
+            css.push(await fs.readFile(cssPath, 'utf-8'));
+        }
+        const baseDir = this.commonDirectory(pagePaths);
+        
+        const pages = [];
+        const selectors = {};
+        const browser = await chromium.launch({ headless: true });
+        
+        try {
+            for (const pagePath of pagePaths) {
+                const relativePath = path.relative(baseDir, pagePath);
+                this.report(`\n📄 ${relativePath}`);
+                
+                const converter = new CSSToTailwindConverter({
+                    ...this.options,
+                    browser,
+                    htmlPath: pagePath,
+                    // One folder per page so intermediate files don't collide
+                    outputDir: this.options.outputDir
+                        ? path.join(this.options.outputDir, relativePath.replace(/\.html?$/i, ''))
+                        : null
+                });
+                
+                const html = await fs.readFile(pagePath, 'utf-8');
+                const result = await converter.convert(html, css);
+                pages.push({
+                    page: relativePath,
+                    html: result.html,
+                    classes: result.classes,
+                    diagnostics: result.diagnostics
+                });
+                
+                this.mergeSelectorClasses(selectors, relativePath, result.selectors);
+            }
+        } finally {
+            await browser.close();
+        }
+        
+        const report = this.buildReport(pages, selectors);
+        if (this.options.outputDir) {
+            await fs.writeFile(
+                path.join(this.options.outputDir, 'project-report.json'),
+                JSON.stringify(report, null, 2)
+            );
+        }
+        
+        this.report(`\n✓ Converted ${pages.length} pages, ${Object.keys(report.selectors).length} selectors`);
+        if (report.inconsistentSelectors.length > 0) {
+            this.report(`⚠ ${report.inconsistentSelectors.length} selectors produced different classes on different elements:`);
+            for (const selector of report.inconsistentSelectors) {
+                this.report(`    ${selector}`);
+            }
+        }
+        
+        return { pages, selectors: report.selectors, inconsistentSelectors: report.inconsistentSelectors };
+    }
+
+    mergeSelectorClasses(selectors, page, pageSelectors) {
+        // selector -> class string -> ["page#element-id-N", ...]
+        for (const [selector, elements] of Object.entries(pageSelectors)) {
+            selectors[selector] = selectors[selector] || {};
+            for (const [elementId, classes] of Object.entries(elements)) {
+                selectors[selector][classes] = selectors[selector][classes] || [];
+                selectors[selector][classes].push(`${page}#${elementId}`);
+            }
+        }
+    }
+
+    buildReport(pages, selectors) {
+        const report = {};
+        const inconsistentSelectors = [];
+        
+        for (const selector of Object.keys(selectors).sort()) {
+            const variants = selectors[selector];
+            const consistent = Object.keys(variants).length === 1;
+            report[selector] = {
+                consistent,
+                classes: consistent ? Object.keys(variants)[0] : null,
+                variants
+            };
+            if (!consistent) {
+                inconsistentSelectors.push(selector);
+            }
+        }
+        
+        return {
+            pages: pages.map(({ page, diagnostics }) => ({ page, warnings: diagnostics.warnings.length })),
+            selectors: report,
+            inconsistentSelectors
+        };
+    }
+
+    async resolvePages(pattern) {
+        const stat = await fs.stat(pattern).catch(() => null);
+        
+        if (stat && stat.isFile()) {
+            return [path.resolve(pattern)];
+        }
+        if (stat && stat.isDirectory()) {
+            const files = await this.walk(path.resolve(pattern));
+            return files.filter(file => HTML_EXTENSIONS.has(path.extname(file).toLowerCase()));
+        }
+        
+        // Glob: walk from the static part of the pattern and match the rest
+        const segments = pattern.split(/[\\/]/);
+        const firstGlob = segments.findIndex(segment => /[*?[]/.test(segment));
+        if (firstGlob === -1) {
+            return [];
+        }
+        const baseDir = path.resolve(segments.slice(0, firstGlob).join('/') || '.');
+        const matcher = this.globToRegExp(segments.slice(firstGlob).join('/'));
+        const files = await this.walk(baseDir);
+        
+        return files.filter(file => matcher.test(path.relative(baseDir, file).split(path.sep).join('/')));
+    }
+
+    async walk(dir) {
+        const files = [];
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (!SKIPPED_DIRECTORIES.has(entry.name) && path.resolve(fullPath) !== this.resolvedOutputDir()) {
+                    files.push(...await this.walk(fullPath));
+                }
+            } else if (entry.isFile()) {
+                files.push(fullPath);
+            }
+        }
+        
+        return files.sort();
+    }
+
+    resolvedOutputDir() {
+        return this.options.outputDir ? path.resolve(this.options.outputDir) : null;
+    }
+
+    globToRegExp(glob) {
+        let source = '';
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+            if (char === '*' && glob[i + 1] === '*') {
+                // "**/" matches zero or more directories
+                source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+                i += glob[i + 2] === '/' ? 2 : 1;
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+        return new RegExp(`^${source}$`);
+    }
+
+    commonDirectory(paths) {
+        let common = path.dirname(paths[0]);
+        while (!paths.every(p => p.startsWith(common + path.sep)) && common !== path.dirname(common)) {
+            common = path.dirname(common);
+        }
+        return common;
+    }
+
+    report(message) {
+        if (!this.options.quiet) {
+            console.log(message);
+        }
+    }
+}
+
+module.exports = { ProjectConverter };
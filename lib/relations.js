@@ -0,0 +1,345 @@
+// Finds selectors whose match depends on another element's state (.card:hover .title,
+// .toggle:checked ~ .panel, .menu.open > li) and the group-*, peer-* or arbitrary variant
+// each styled element gets for it
+
+const safeParser = require('postcss-safe-parser');
+const selectorParser = require('postcss-selector-parser');
+const { DYNAMIC_PSEUDO_CLASSES, LEGACY_PSEUDO_ELEMENTS, WIDTH_MEDIA_QUERY } = require('./residual');
+
+// Combinators after the element whose state counts: ancestors become groups, earlier siblings peers
+const GROUP_COMBINATORS = new Set([' ', '>']);
+const PEER_COMBINATORS = new Set(['~', '+']);
+
+class SelectorRelations {
+    constructor(options = {}) {
+        this.options = {
+            states: [], // Pseudo-classes capture can put on an element; they double as variant names
+            ...options
+        };
+        // { selector, line, state, targets: [{ elementId, anchor, anchors, variant, marker }] }
+        this.relations = [];
+        this.unsupported = []; // { selector, line, reason }
+        this.statuses = new Map(); // selector -> { captured } or { reason }
+        this.document = null;
+    }
+
+    collect(css, document) {
+        // Rules the breakpoint passes capture as they are: top level or in width-only @media.
+        // `document` is the page with element ids, at rest
+        this.document = document;
+        
+        safeParser(css).walkRules(rule => {
+            if (!this.captured(rule)) {
+                return;
+            }
+            for (const selector of rule.selectors) {
+                if (this.statuses.has(selector)) {
+                    continue;
+                }
+                const line = rule.source?.start?.line || null;
+                const result = this.analyze(selector);
+                if (!result) {
+                    continue;
+                }
+                if (result.reason) {
+                    this.unsupported.push({ selector, line, reason: result.reason });
+                    this.statuses.set(selector, { reason: result.reason });
+                } else {
+                    this.relations.push({ selector, line, ...result });
+                    this.statuses.set(selector, { captured: true });
+                }
+            }
+        });
+        
+        return this.relations;
+    }
+
+    captured(rule) {
+        for (let parent = rule.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+            if (parent.type !== 'atrule' || parent.name.toLowerCase() !== 'media' || !WIDTH_MEDIA_QUERY.test(parent.params.trim())) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    status(selector) {
+        // For residual extraction: null when the selector doesn't depend on another element
+        return this.statuses.get(selector) || null;
+    }
+
+    targets() {
+        return this.relations.flatMap(relation => relation.targets);
+    }
+
+    analyze(selector) {
+        // { state, targets } for a relation, { reason } for one no variant can express, or
+        // null when the selector doesn't depend on another element (or styles nothing)
+        let result = null;
+        selectorParser(selectors => {
+            const complex = selectors.first;
+            if (complex) {
+                result = this.analyzeComplex(complex);
+            }
+        }).processSync(selector);
+        return result;
+    }
+
+    analyzeComplex(complex) {
+        const compounds = [[]];
+        const combinators = [];
+        for (const node of complex.nodes) {
+            if (node.type === 'combinator') {
+                combinators.push(node.value.trim() || ' ');
+                compounds.push([]);
+            } else {
+                compounds[compounds.length - 1].push(node);
+            }
+        }
+        if (compounds.length < 2 || this.hasPseudo(complex, name => name === 'has')) {
+            return null; // :has() stays in residual.css
+        }
+        
+        // Dynamic pseudo-classes, and classes or attributes no element has at rest (added by scripts)
+        const stateParts = compounds.slice(0, -1).map(compound => compound.filter(node => this.isStatePart(node)));
+        const anchorIndexes = stateParts.map((parts, index) => parts.length > 0 ? index : -1).filter(index => index !== -1);
+        if (anchorIndexes.length === 0) {
+            return null;
+        }
+        
+        // The selector with every state and pseudo-element taken out; matching nothing, it's
+        // just unused
+        const subjectStates = compounds[compounds.length - 1].filter(node => node.type === 'pseudo' && this.isStatePart(node));
+        const text = nodes => nodes.map(node => String(node).trim()).join('');
+        const join = (list, removed) => list.map((compound, index) =>
+            (index > 0 ? (combinators[index - 1] === ' ' ? ' ' : ` ${combinators[index - 1]} `) : '') +
+            (text(compound.filter(node => !removed.includes(node) && !this.isPseudoElement(node))) || '*')
+        ).join('');
+        let subjects;
+        try {
+            subjects = [...this.document.querySelectorAll(join(compounds, [...stateParts.flat(), ...subjectStates]))].filter(element => element.dataset.elementId);
+        } catch {
+            return null; // A selector the DOM can't evaluate; the browser passes still see it
+        }
+        if (subjects.length === 0) {
+            return null;
+        }
+        
+        const reason = this.unsupportedReason(compounds, stateParts, anchorIndexes, combinators);
+        if (reason) {
+            return { reason };
+        }
+        
+        const anchorIndex = anchorIndexes[0];
+        const parts = stateParts[anchorIndex];
+        
+        const relation = {
+            kind: PEER_COMBINATORS.has(combinators[anchorIndex]) ? 'peer' : 'group',
+            combinator: combinators[anchorIndex],
+            direct: anchorIndex === compounds.length - 2,
+            leading: anchorIndex === 0,
+            anchorBase: text(compounds[anchorIndex].filter(node => !parts.includes(node))),
+            anchorSelector: join(compounds.slice(0, anchorIndex + 1), parts),
+            state: this.stateOf(parts)
+        };
+        if (!relation.state) {
+            return { reason: `${text(parts)} can't be set on an element` };
+        }
+        
+        const targets = subjects.map(element => this.target(element, relation, text(parts))).filter(Boolean);
+        if (targets.length === 0) {
+            return null;
+        }
+        return { state: text(parts), targets };
+    }
+
+    unsupportedReason(compounds, stateParts, anchorIndexes, combinators) {
+        const subject = compounds[compounds.length - 1];
+        const names = parts => parts.map(node => String(node).trim()).join('');
+        
+        if (anchorIndexes.length > 1) {
+            return `states on several elements (${anchorIndexes.map(index => names(stateParts[index])).join(', ')})`;
+        }
+        const anchorIndex = anchorIndexes[0];
+        const after = combinators.slice(anchorIndex);
+        const group = after.every(combinator => GROUP_COMBINATORS.has(combinator));
+        const peer = after.length === 1 && PEER_COMBINATORS.has(after[0]);
+        if (!group && !peer) {
+            return `${names(stateParts[anchorIndex])} on a sibling of an ancestor`;
+        }
+        
+        if (subject.some(node => this.isPseudoElement(node))) {
+            return 'pseudo-element of an element styled by another\'s state';
+        }
+        if (subject.some(node => node.type === 'pseudo' && DYNAMIC_PSEUDO_CLASSES.has(node.value.slice(1).toLowerCase()))) {
+            return 'states on both elements';
+        }
+        const pseudos = stateParts[anchorIndex].filter(node => node.type === 'pseudo').map(node => node.value.slice(1).toLowerCase());
+        const unforced = pseudos.find(name => !this.options.states.includes(name));
+        if (unforced) {
+            return `:${unforced} can't be put on another element`;
+        }
+        if (pseudos.length > 1) {
+            return 'combined states';
+        }
+        
+        // A dynamic pseudo-class nested in :not() or :is() outside the styled element
+        const nested = compounds.slice(0, -1).flat().find(node =>
+            node.type === 'pseudo' && node.nodes.length > 0 && this.hasPseudo(node, name => DYNAMIC_PSEUDO_CLASSES.has(name)));
+        return nested ? `dynamic pseudo-class inside ${nested.value}()` : null;
+    }
+
+    isPseudoElement(node) {
+        return node.type === 'pseudo' && (node.value.startsWith('::') || LEGACY_PSEUDO_ELEMENTS.has(node.value.slice(1).toLowerCase()));
+    }
+
+    isStatePart(node) {
+        if (node.type === 'pseudo') {
+            return !this.isPseudoElement(node) && DYNAMIC_PSEUDO_CLASSES.has(node.value.slice(1).toLowerCase());
+        }
+        if (node.type === 'class') {
+            return this.document.getElementsByClassName(node.value).length === 0;
+        }
+        if (node.type === 'attribute') {
+            try {
+                return this.document.querySelector(String(node).trim()) === null;
+            } catch {
+                return false;
+            }
+        }
+        return false;
+    }
+
+    hasPseudo(container, test) {
+        let found = false;
+        container.walkPseudos(pseudo => {
+            found = found || test(pseudo.value.replace(/^::?/, '').toLowerCase());
+        });
+        return found;
+    }
+
+    stateOf(parts) {
+        // { pseudo, classes, attributes: [[name, value]] }; null when an attribute's value
+        // can't be set to match (^=, *=, ...)
+        const state = { pseudo: null, classes: [], attributes: [] };
+        for (const node of parts) {
+            if (node.type === 'pseudo') {
+                state.pseudo = node.value.slice(1).toLowerCase();
+            } else if (node.type === 'class') {
+                state.classes.push(node.value);
+            } else if (!node.operator || node.operator === '=') {
+                state.attributes.push([node.attribute, node.operator ? node.value : '']);
+            } else {
+                return null;
+            }
+        }
+        return state;
+    }
+
+    target(element, relation, stateText) {
+        // Which element gets the state during capture (`anchor`, an element id or null for
+        // <html>), which ones get a group/peer marker, and the variant
+        const anchors = this.anchorsOf(element, relation);
+        if (anchors.length === 0) {
+            return null;
+        }
+        const id = node => node.dataset.elementId ? `element-id-${node.dataset.elementId}` : null;
+        const nearest = anchors[0];
+        const target = { elementId: id(element), state: relation.state, anchor: id(nearest), anchors: [], variant: null, marker: null };
+        
+        // A state alone (.open .item) or on <html>, which isn't numbered: an arbitrary variant
+        // spelling out the state. A leading state alone on any ancestor is put on <html> during
+        // capture, the one ancestor sure to be above the rest of the selector
+        if (!relation.anchorBase || !target.anchor) {
+            if (!relation.anchorBase && relation.combinator === ' ' && relation.leading) {
+                target.anchor = null;
+            }
+            // Pseudo-classes can only be put on numbered elements
+            if (relation.state.pseudo && !target.anchor) {
+                return null;
+            }
+            const separator = relation.combinator === ' ' || !relation.direct ? '_' : relation.combinator;
+            const compound = target.anchor ? stateText : `${relation.anchorBase}${stateText}`;
+            target.variant = `[${this.escape(compound)}${separator}&]`;
+            return target;
+        }
+        
+        // group-*/peer-* match any marked ancestor or earlier sibling; when the selector is
+        // stricter (> or +) and another one would match, the marker is made unique
+        const broader = (relation.combinator === '>' && relation.direct && this.ancestors(element, relation).length > 1) ||
+            (relation.combinator === '+' && this.earlierSiblings(element, relation).length > 1);
+        const name = this.markerName(relation.anchorBase) + (broader ? `-${nearest.dataset.elementId}` : '');
+        const state = relation.state.pseudo && relation.state.classes.length === 0 && relation.state.attributes.length === 0
+            ? relation.state.pseudo
+            : `[${this.escape(stateText)}]`;
+        target.marker = `${relation.kind}/${name}`;
+        target.variant = `${relation.kind}-${state}/${name}`;
+        target.anchors = anchors.map(id).filter(Boolean);
+        return target;
+    }
+
+    anchorsOf(element, relation) {
+        // Nearest first
+        if (relation.kind === 'group') {
+            if (relation.combinator === '>' && relation.direct) {
+                const parent = element.parentElement;
+                return parent && parent.matches(relation.anchorSelector) ? [parent] : [];
+            }
+            return this.ancestors(element, relation);
+        }
+        if (relation.combinator === '+') {
+            const previous = element.previousElementSibling;
+            return previous && previous.matches(relation.anchorSelector) ? [previous] : [];
+        }
+        return this.earlierSiblings(element, relation);
+    }
+
+    ancestors(element, relation) {
+        const found = [];
+        for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+            if (parent.matches(relation.anchorSelector)) {
+                found.push(parent);
+            }
+        }
+        return found;
+    }
+
+    earlierSiblings(element, relation) {
+        const found = [];
+        for (let sibling = element.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+            if (sibling.matches(relation.anchorSelector)) {
+                found.push(sibling);
+            }
+        }
+        return found;
+    }
+
+    markerName(compound) {
+        // .card.large -> card, li -> li, #nav -> nav
+        const [, name] = compound.match(/\.(-?[_a-zA-Z][\w-]*)/) || compound.match(/^([a-zA-Z][\w-]*)/) ||
+            compound.match(/#(-?[_a-zA-Z][\w-]*)/) || [null, 'anchor'];
+        return name.replace(/_/g, '-');
+    }
+
+    escape(selector) {
+        // Inside brackets Tailwind reads "_" as a space
+        return selector.replace(/_/g, '\\_').replace(/\s+/g, '_');
+    }
+
+    markers(classesById) {
+        // elementId -> group/peer markers, for the anchors of styled elements that kept a
+        // class with their relation's variant
+        const markers = new Map();
+        for (const target of this.targets()) {
+            if (!target.marker || !(classesById.get(target.elementId) || []).some(className => className.includes(`${target.variant}:`))) {
+                continue;
+            }
+            for (const anchor of target.anchors) {
+                markers.set(anchor, new Set([...(markers.get(anchor) || []), target.marker]));
+            }
+        }
+        return new Map([...markers].map(([elementId, names]) => [elementId, [...names]]));
+    }
+}
+
+module.exports = { SelectorRelations };
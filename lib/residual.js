@@ -0,0 +1,318 @@
+// Collects the CSS that can't become utility classes and rewrites it onto hook classes
+
+const postcss = require('postcss');
+const safeParser = require('postcss-safe-parser');
+const selectorParser = require('postcss-selector-parser');
+
+// Global at-rules that don't target elements; kept verbatim
+const GLOBAL_AT_RULES = new Set(['keyframes', 'font-face', 'property', 'counter-style', 'font-feature-values', 'page']);
+
+// Statements that must stay at the top of the stylesheet
+const LEADING_AT_RULES = new Set(['import', 'namespace']);
+
+// Pseudo-classes whose match changes after the page has loaded
+const DYNAMIC_PSEUDO_CLASSES = new Set([
+    'hover', 'focus', 'focus-visible', 'focus-within', 'active', 'visited', 'target', 'target-within',
+    'checked', 'indeterminate', 'disabled', 'enabled', 'valid', 'invalid', 'user-valid', 'user-invalid',
+    'in-range', 'out-of-range', 'placeholder-shown', 'autofill', 'default', 'open', 'popover-open', 'modal'
+]);
+
+// Pseudo-elements that may still be written with a single colon
+const LEGACY_PSEUDO_ELEMENTS = new Set(['before', 'after', 'first-line', 'first-letter']);
+
+// Width-only media queries are resolved by capturing each breakpoint
+const WIDTH_MEDIA_QUERY = /^(only\s+)?(screen|all)?(\s*(and\s*)?\(\s*(min|max)-width\s*:[^)]+\))*$/i;
+
+class ResidualExtractor {
+    constructor(options = {}) {
+        this.options = {
+            hookPrefix: 'css-', // Prefix for hook classes standing in for the original class names
+            capturedStates: [], // Pseudo-classes the converter forces per element
+            capturedPseudoElements: [], // Pseudo-elements the converter turns into variants
+            capturedMedia: [], // Media features (as patterns) the converter captures in extra passes
+            preservedClasses: [], // Class names selectors keep instead of getting a hook
+            relation: () => null, // selector -> { captured } or { reason } when another element's state decides its match
+            untranslatable: () => [], // (prop, value) -> [[longhand, value], ...] with no utility
+            ...options
+        };
+        this.entries = [];
+        this.hookClasses = new Set();
+        this.root = postcss.root();
+    }
+
+    collect(css) {
+        // Real-world stylesheets have typos; recover from them like a browser would
+        const parsed = safeParser(css);
+        
+        parsed.each(node => {
+            if (node.type === 'atrule' && LEADING_AT_RULES.has(node.name.toLowerCase())) {
+                this.add({ type: node.name.toLowerCase(), name: this.atRuleName(node), reason: 'not inlined', node }, node.clone());
+            }
+        });
+        this.collectContainer(parsed, []);
+        
+        return this.entries;
+    }
+
+    collectContainer(container, mediaWrappers) {
+        container.each(node => {
+            if (node.type === 'rule') {
+                this.collectRule(node, mediaWrappers);
+                return;
+            }
+            if (node.type !== 'atrule') {
+                return;
+            }
+            
+            // @-webkit-keyframes is still @keyframes
+            const name = node.name.toLowerCase().replace(/^-[a-z]+-/, '');
+            if (name === 'charset' || LEADING_AT_RULES.has(name)) {
+                return;
+            }
+            if (GLOBAL_AT_RULES.has(name)) {
+                this.add({ type: name, name: this.atRuleName(node), reason: 'global at-rule', node }, this.wrap(node.clone(), mediaWrappers));
+                return;
+            }
+            if (name === 'media' && this.capturedMediaQuery(node.params)) {
+                this.collectContainer(node, [...mediaWrappers, node]);
+                return;
+            }
+            
+            // Conditional blocks (@supports, @container, other @media, ...) were never
+            // captured: keep them whole, pointed at the hooks
+            const clone = node.clone();
+            clone.walkRules(rule => {
+                if (!this.insideGlobalAtRule(rule)) {
+                    rule.selector = this.rewriteSelector(rule.selector);
+                }
+            });
+            this.add({ type: 'at-rule', name: `@${node.name} ${node.params}`, reason: 'conditional at-rule', node }, this.wrap(clone, mediaWrappers));
+        });
+    }
+
+    capturedMediaQuery(params) {
+        // Width features are captured per breakpoint, capturedMedia in their own passes;
+        // a query made of nothing else was fully captured
+        return params.split(',').every(query => {
+            let rest = query;
+            for (const feature of this.options.capturedMedia) {
+                rest = rest.replace(feature, '');
+            }
+            const conditions = rest.split(/\band\b/i).map(condition => condition.trim()).filter(Boolean);
+            return WIDTH_MEDIA_QUERY.test(conditions.join(' and '));
+        });
+    }
+
+    collectRule(rule, mediaWrappers) {
+        const plain = [];
+        // Inside @media (prefers-color-scheme: dark) and the like, states and pseudo-elements weren't captured
+        const emulatedMedia = mediaWrappers.find(media => !WIDTH_MEDIA_QUERY.test(media.params.trim()));
+        
+        for (const selector of rule.selectors) {
+            // Relations were captured as group-*/peer-* variants, but not under emulated media
+            const relation = emulatedMedia ? null : this.options.relation(selector);
+            const reason = relation ? relation.reason || null : this.complexity(selector, emulatedMedia);
+            if (reason) {
+                const clone = rule.clone({ selector: this.rewriteSelector(selector) });
+                this.add({ type: 'selector', name: selector, reason, node: rule }, this.wrap(clone, mediaWrappers));
+            } else {
+                plain.push(selector);
+            }
+        }
+        
+        if (plain.length === 0) {
+            return;
+        }
+        
+        // :root custom properties already live in the extracted theme
+        const themeRoot = rule.parent.type === 'root' && plain.length === 1 && plain[0].trim() === ':root';
+        const rootElement = plain.some(selector => this.targetsRootElement(selector));
+        const kept = [];
+        
+        rule.walkDecls(decl => {
+            if (!decl.value.trim() && !decl.prop.startsWith('--')) {
+                return; // Invalid, so the browser never applied it either
+            }
+            if (decl.prop.startsWith('--')) {
+                if (!themeRoot) {
+                    kept.push(decl.clone());
+                }
+            } else if (rootElement) {
+                kept.push(decl.clone());
+            } else {
+                const untranslatable = this.options.untranslatable(decl.prop, decl.value);
+                if (untranslatable.length === 0) {
+                    return;
+                }
+                // A shorthand that only partly translates keeps just the longhands that don't
+                const whole = untranslatable.length === 1 && untranslatable[0][0] === decl.prop;
+                const partial = untranslatable.map(([prop, value]) => decl.clone({ prop, value }));
+                kept.push(...(whole ? [decl.clone()] : partial));
+            }
+        });
+        
+        if (kept.length > 0) {
+            const clone = rule.clone({ selector: plain.map(selector => this.rewriteSelector(selector)).join(', ') });
+            clone.removeAll();
+            clone.append(kept);
+            this.add({
+                type: 'property',
+                name: plain.join(', '),
+                properties: kept.map(decl => decl.prop),
+                reason: rootElement ? 'targets the root element' : 'no utility class',
+                node: rule
+            }, this.wrap(clone, mediaWrappers));
+        }
+    }
+
+    complexity(selector, emulatedMedia = null) {
+        // Why a selector's declarations never reached the per-element capture, or null
+        const { capturedStates, capturedPseudoElements } = this.options;
+        let reason = null;
+        
+        selectorParser(selectors => {
+            selectors.each(complex => {
+                const subject = this.subjectCompound(complex);
+                const states = [];
+                const pseudoElements = [];
+                
+                complex.walkPseudos(pseudo => {
+                    const name = pseudo.value.replace(/^::?/, '').toLowerCase();
+                    // Climb to the pseudo's top-level node to see which compound it belongs to
+                    let top = pseudo;
+                    while (top.parent !== complex) {
+                        top = top.parent;
+                    }
+                    
+                    if (name === 'has') {
+                        reason = reason || 'relational :has()';
+                    } else if (pseudo.value.startsWith('::') || LEGACY_PSEUDO_ELEMENTS.has(name)) {
+                        pseudoElements.push(name);
+                    } else if (!DYNAMIC_PSEUDO_CLASSES.has(name)) {
+                        return;
+                    } else if (!subject.includes(top)) {
+                        reason = reason || `:${name} on another element`;
+                    } else if (top !== pseudo) {
+                        reason = reason || `:${name} inside ${top.value}()`;
+                    } else {
+                        states.push(name);
+                    }
+                });
+                
+                const uncapturedState = states.find(name => !capturedStates.includes(name));
+                const uncapturedPseudoElement = pseudoElements.find(name => !capturedPseudoElements.includes(name));
+                
+                if (emulatedMedia && (states.length > 0 || pseudoElements.length > 0)) {
+                    const variant = states.length > 0 ? `:${states[0]}` : `::${pseudoElements[0]}`;
+                    reason = reason || `${variant} inside @media ${emulatedMedia.params}`;
+                } else if (uncapturedState) {
+                    reason = reason || `:${uncapturedState} is not captured`;
+                } else if (uncapturedPseudoElement) {
+                    reason = reason || `::${uncapturedPseudoElement} is not captured`;
+                } else if (states.length > 1) {
+                    reason = reason || 'combined states';
+                } else if (states.length > 0 && pseudoElements.length > 0) {
+                    reason = reason || 'state on a pseudo-element';
+                }
+            });
+        }).processSync(selector);
+        
+        return reason;
+    }
+
+    subjectCompound(complex) {
+        // Top-level nodes after the last combinator
+        const nodes = complex.nodes;
+        let start = nodes.length;
+        while (start > 0 && nodes[start - 1].type !== 'combinator') {
+            start--;
+        }
+        return nodes.slice(start);
+    }
+
+    targetsRootElement(selector) {
+        // <html> isn't numbered, so nothing captured for it reaches the output
+        let root = false;
+        selectorParser(selectors => {
+            selectors.each(complex => {
+                root = root || this.subjectCompound(complex).some(node =>
+                    (node.type === 'tag' && node.value.toLowerCase() === 'html') ||
+                    (node.type === 'pseudo' && node.value.toLowerCase() === ':root')
+                );
+            });
+        }).processSync(selector);
+        return root;
+    }
+
+    rewriteSelector(selector) {
+        // .card -> .css-card; ids, tags and attributes survive the conversion unchanged
+        return selectorParser(selectors => {
+            selectors.walkClasses(node => {
+                if (this.options.preservedClasses.includes(node.value)) {
+                    return;
+                }
+                this.hookClasses.add(node.value);
+                node.value = `${this.options.hookPrefix}${node.value}`;
+            });
+        }).processSync(selector);
+    }
+
+    hooksFor(classList) {
+        return [...classList]
+            .filter(className => this.hookClasses.has(className))
+            .map(className => `${this.options.hookPrefix}${className}`);
+    }
+
+    atRuleName(node) {
+        // @font-face has no prelude; name it after its family
+        if (node.params) {
+            return `@${node.name} ${node.params}`;
+        }
+        let family = null;
+        node.walkDecls('font-family', decl => {
+            family = decl.value;
+        });
+        return family ? `@${node.name} ${family}` : `@${node.name}`;
+    }
+
+    insideGlobalAtRule(node) {
+        for (let parent = node.parent; parent; parent = parent.parent) {
+            if (parent.type === 'atrule' && GLOBAL_AT_RULES.has(parent.name.toLowerCase().replace(/^-[a-z]+-/, ''))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    wrap(node, mediaWrappers) {
+        // Re-nest inside the width @media blocks the original sat in
+        return mediaWrappers.reduceRight((inner, media) => media.clone({ nodes: [] }).append(inner), node);
+    }
+
+    add({ node, ...entry }, output) {
+        const line = node.source?.start?.line || null;
+        this.entries.push({ ...entry, line });
+        output.raws.before = '\n';
+        this.root.append(postcss.comment({ text: `${entry.name} (line ${line}): ${entry.reason}`, raws: { before: '\n\n' } }));
+        this.root.append(output);
+    }
+
+    hasRules() {
+        return this.entries.length > 0;
+    }
+
+    toCSS() {
+        return this.root.toString().trim() + '\n';
+    }
+
+    summarize() {
+        // Entry counts per type, e.g. { keyframes: 28, 'font-face': 8, selector: 12 }
+        const counts = {};
+        for (const { type } of this.entries) {
+            counts[type] = (counts[type] || 0) + 1;
+        }
+        return counts;
+    }
+}
+
+module.exports = { ResidualExtractor, GLOBAL_AT_RULES, DYNAMIC_PSEUDO_CLASSES, LEGACY_PSEUDO_ELEMENTS, WIDTH_MEDIA_QUERY };
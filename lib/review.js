@@ -0,0 +1,366 @@
+// Serves a local page for reviewing a conversion: the original and converted page side by
+// side, where each element's classes came from, and the decisions saved to the overrides file
+
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const { CSSToTailwindConverter } = require('../converter');
+const { DECISIONS } = require('./overrides');
+
+// The review app: one static page that talks to the API below
+const APP_PATH = path.join(__dirname, 'review.html');
+
+// Where the converted page loads the installed Tailwind runtime from, in place of the CDN
+const TAILWIND_BROWSER_ROUTE = '/runtime/tailwind-browser.js';
+
+// Files the reviewed pages load from the page's folder (images, fonts, scripts)
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf'
+};
+
+// Largest request body the API reads
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+class ReviewServer {
+    constructor(options = {}) {
+        this.options = {
+            htmlPath: null,
+            cssPaths: [],
+            outputDir: null, // Decisions go to <outputDir>/overrides.json unless overrides is set
+            overrides: null,
+            quiet: false,
+            host: '127.0.0.1', // Only reachable from this machine
+            port: 4173, // 0 picks a free port
+            ...options
+        };
+        if (!this.options.outputDir && !this.options.overrides) {
+            throw new Error('Review needs an outputDir or an overrides file to save decisions to');
+        }
+        this.converter = null; // The last successful run, whose data the API serves
+        this.result = null;
+        this.server = null;
+        this.queue = Promise.resolve();
+    }
+
+    async start() {
+        await this.convert();
+        this.server = http.createServer((request, response) => this.handle(request, response));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, resolve);
+        });
+        this.report(`\n🔎 Reviewing at ${this.url()} (Ctrl+C to stop)`);
+        this.report(`   Decisions are saved to ${this.converter.overrides.options.file}`);
+    }
+
+    url() {
+        const { port } = this.server.address();
+        return `http://${this.options.host}:${port}/`;
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    convert() {
+        // One run at a time; one asked for mid-run starts after it, so it sees the latest decisions.
+        // The cache keeps re-runs to the breakpoints and elements a decision touched
+        const run = this.queue.then(async () => {
+            const converter = new CSSToTailwindConverter({ ...this.options, cache: true });
+            const result = await converter.run();
+            this.converter = converter;
+            this.result = result;
+        });
+        this.queue = run.catch(() => {}); // run() has already reported the error
+        return run;
+    }
+
+    async handle(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        try {
+            await this.route(request, response, url);
+        } catch (err) {
+            this.sendJSON(response, err.status || 500, { error: err.message });
+        }
+    }
+
+    async route(request, response, url) {
+        const { pathname } = url;
+        const element = pathname.match(/^\/api\/elements\/(\d+)(\/decisions)?$/);
+        this.checkOrigin(request);
+        
+        if (request.method === 'GET' && pathname === '/') {
+            return this.send(response, 200, await fs.readFile(APP_PATH), '.html');
+        }
+        if (request.method === 'GET' && pathname === '/pages/original') {
+            return this.send(response, 200, this.originalPage(), '.html');
+        }
+        if (request.method === 'GET' && pathname === '/pages/converted') {
+            return this.send(response, 200, this.convertedPage(), '.html');
+        }
+        if (request.method === 'GET' && pathname === TAILWIND_BROWSER_ROUTE && this.converter.dialect.localRuntime()) {
+            return this.send(response, 200, await fs.readFile(this.converter.dialect.localRuntime()), '.js');
+        }
+        if (request.method === 'GET' && pathname.startsWith('/assets/')) {
+            return this.sendAsset(response, decodeURIComponent(pathname.slice('/assets/'.length)));
+        }
+        if (request.method === 'GET' && pathname === '/api/review') {
+            return this.sendJSON(response, 200, this.summary());
+        }
+        if (request.method === 'POST' && pathname === '/api/convert') {
+            await this.readJSON(request);
+            await this.convert();
+            return this.sendJSON(response, 200, this.summary());
+        }
+        if (request.method === 'GET' && element && !element[2]) {
+            return this.sendJSON(response, 200, this.elementDetail(`element-id-${element[1]}`));
+        }
+        if (request.method === 'POST' && element && element[2]) {
+            const elementId = `element-id-${element[1]}`;
+            await this.decide(elementId, await this.readJSON(request));
+            return this.sendJSON(response, 200, this.elementDetail(elementId));
+        }
+        throw new HttpError(404, `Nothing at ${request.method} ${pathname}`);
+    }
+
+    summary() {
+        const { converter } = this;
+        const decided = {};
+        for (const [elementId, entry] of Object.entries(converter.overrides.elements)) {
+            decided[elementId] = Object.fromEntries(Object.entries(entry.breakpoints).map(([breakpoint, { decision }]) => [breakpoint, decision]));
+        }
+        return {
+            page: this.options.htmlPath ? path.basename(this.options.htmlPath) : null,
+            target: converter.dialect.target,
+            breakpoints: converter.breakpoints,
+            overridesFile: converter.overrides.options.file,
+            decided,
+            stale: converter.diagnostics.overrides,
+            warnings: converter.diagnostics.warnings.length
+        };
+    }
+
+    elementDetail(elementId) {
+        // What one element's classes came from, per breakpoint, and what was decided about them
+        const { converter } = this;
+        if (!converter.elementTags[elementId]) {
+            throw new HttpError(404, `No element ${elementId}`);
+        }
+        
+        const breakpoints = {};
+        for (const breakpoint of Object.keys(converter.breakpoints)) {
+            const stage = converter.stage(breakpoint);
+            breakpoints[breakpoint] = {
+                authored: stage.matchedRules?.[elementId] || {},
+                sources: stage.matchedSources?.[elementId] || {},
+                pseudoElements: stage.pseudoElementRules?.[elementId] || {},
+                states: stage.stateRules?.[elementId] || {},
+                media: stage.mediaRules?.[elementId] || {},
+                relations: stage.relationalRules?.[elementId] || {},
+                classes: stage.tailwindClasses?.[elementId] || '',
+                override: stage.overrides?.[elementId] || null,
+                decision: converter.overrides.get(elementId, breakpoint)
+            };
+        }
+        
+        return {
+            elementId,
+            tag: converter.elementTags[elementId],
+            startTag: converter.elementStartTags[elementId],
+            classes: this.result.classes[elementId] || '',
+            breakpoints
+        };
+    }
+
+    async decide(elementId, { breakpoint, decision = null, classes = '' } = {}) {
+        // decision null takes back the one made before. Accepting records the classes in use
+        const { converter } = this;
+        if (!converter.elementTags[elementId]) {
+            throw new HttpError(404, `No element ${elementId}`);
+        }
+        if (!converter.breakpoints[breakpoint]) {
+            throw new HttpError(400, `Unknown breakpoint "${breakpoint}"`);
+        }
+        if (decision !== null && !DECISIONS.includes(decision)) {
+            throw new HttpError(400, `Unknown decision "${decision}" (expected ${DECISIONS.join(', ')})`);
+        }
+        if (typeof classes !== 'string') {
+            throw new HttpError(400, 'classes must be a string');
+        }
+        
+        if (decision === null) {
+            converter.overrides.remove(elementId, breakpoint);
+        } else {
+            converter.overrides.set(elementId, breakpoint, {
+                decision,
+                classes: decision === 'accepted' ? converter.stage(breakpoint).tailwindClasses?.[elementId] || '' : classes,
+                inputs: converter.inputHash(breakpoint, elementId),
+                startTag: converter.elementStartTags[elementId]
+            });
+        }
+        await converter.overrides.save();
+        
+        // Accepting changes nothing on the page; anything else shows up once converted again
+        if (decision !== 'accepted') {
+            try {
+                await this.convert();
+            } catch (err) {
+                throw new HttpError(500, `The decision was saved, but converting again failed: ${err.message}`);
+            }
+        }
+    }
+
+    originalPage() {
+        // The page as captured: its converted CSS in place and external stylesheets inlined
+        return this.servedPage(this.converter.passPages.enabled);
+    }
+
+    convertedPage() {
+        // The converted page with its element ids. Stylesheets it links from the output folder
+        // are inlined, and an installed runtime comes from node_modules
+        const { converter } = this;
+        const { JSDOM, VirtualConsole } = require('jsdom');
+        const dom = new JSDOM(converter.withExternalStyles(converter.trackedHTML), { virtualConsole: new VirtualConsole() });
+        const document = dom.window.document;
+        
+        for (const link of document.querySelectorAll('link[href="tailwind.css"], link[href="residual.css"]')) {
+            link.remove();
+        }
+        const linked = converter.linkedCSS(this.result.css);
+        if (linked) {
+            const style = document.createElement('style');
+            style.textContent = linked;
+            document.head.appendChild(style);
+        }
+        if (converter.dialect.localRuntime()) {
+            for (const script of document.querySelectorAll('script[src]')) {
+                if (script.getAttribute('src') === converter.dialect.runtime()) {
+                    script.setAttribute('src', TAILWIND_BROWSER_ROUTE);
+                }
+            }
+        }
+        
+        return this.servedPage(dom.serialize());
+    }
+
+    servedPage(html) {
+        // Relative URLs (images, fonts, scripts) resolve against the page's folder, under /assets/
+        const { JSDOM, VirtualConsole } = require('jsdom');
+        const dom = new JSDOM(html, { virtualConsole: new VirtualConsole() });
+        const document = dom.window.document;
+        if (!document.querySelector('base[href]')) {
+            const base = document.createElement('base');
+            base.setAttribute('href', '/assets/');
+            document.head.prepend(base);
+        }
+        return dom.serialize();
+    }
+
+    async sendAsset(response, relative) {
+        // Only files inside the page's folder
+        if (!this.options.htmlPath) {
+            throw new HttpError(404, `No page folder to serve ${relative} from`);
+        }
+        const root = path.resolve(path.dirname(this.options.htmlPath));
+        const file = path.resolve(root, relative);
+        if (!file.startsWith(root + path.sep)) {
+            throw new HttpError(404, `${relative} is outside the page's folder`);
+        }
+        let content;
+        try {
+            content = await fs.readFile(file);
+        } catch {
+            throw new HttpError(404, `No file ${relative}`);
+        }
+        this.send(response, 200, content, path.extname(file).toLowerCase());
+    }
+
+    checkOrigin(request) {
+        // Any site open in the browser can send requests here, and DNS rebinding can give it
+        // this server's origin: only this machine's own names for this port are answered
+        const { port } = this.server.address();
+        const host = this.options.host.includes(':') ? `[${this.options.host}]` : this.options.host;
+        const allowed = [...new Set([`${host}:${port}`, `127.0.0.1:${port}`, `localhost:${port}`])];
+        if (!allowed.includes(request.headers.host)) {
+            throw new HttpError(403, `Unexpected Host ${request.headers.host}`);
+        }
+        const origin = request.headers.origin;
+        if (origin && !allowed.some(host => origin === `http://${host}`)) {
+            throw new HttpError(403, `Unexpected Origin ${origin}`);
+        }
+    }
+
+    readJSON(request) {
+        // Only a JSON body: a form or text/plain POST is one any page can send without asking
+        if (!/^application\/json\s*(;|$)/i.test(request.headers['content-type'] || '')) {
+            return Promise.reject(new HttpError(415, 'Expected a Content-Type of application/json'));
+        }
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            request.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    reject(new HttpError(413, 'Request body too large'));
+                    request.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            request.on('end', () => {
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8') || '{}'));
+                } catch (err) {
+                    reject(new HttpError(400, `Invalid JSON: ${err.message}`));
+                }
+            });
+            request.on('error', reject);
+        });
+    }
+
+    send(response, status, body, extension) {
+        response.writeHead(status, {
+            'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+            'Cache-Control': 'no-store'
+        });
+        response.end(body);
+    }
+
+    sendJSON(response, status, data) {
+        this.send(response, status, JSON.stringify(data), '.json');
+    }
+
+    report(message) {
+        if (!this.options.quiet) {
+            console.log(message);
+        }
+    }
+}
+
+module.exports = { ReviewServer };
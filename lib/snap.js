@@ -0,0 +1,205 @@
+// Snaps authored values to the nearest entry of Tailwind's default scales
+
+const fs = require('fs');
+const { THEMED_PROPERTIES } = require('./theme');
+const { TailwindDialect } = require('./dialects');
+
+// Named spacing steps, in units of --spacing (0.25rem)
+const SPACING_STEPS = [
+    0, 0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4, 5, 6, 7, 8, 9, 10, 11, 12, 14, 16,
+    20, 24, 28, 32, 36, 40, 44, 48, 52, 56, 60, 64, 72, 80, 96
+];
+
+// Properties whose utilities take a leading "-" for negative values
+const NEGATABLE = /^(margin|top|right|bottom|left|inset)/;
+
+const ROOT_FONT_SIZE = 16;
+
+// CSS property -> [scale, utility prefix]; font-size isn't a theme category
+const SNAPPED_PROPERTIES = {
+    ...THEMED_PROPERTIES,
+    'font-size': ['text', 'text']
+};
+
+class ValueSnapper {
+    constructor(options = {}) {
+        this.options = {
+            pxTolerance: 1, // Max distance in px for spacing, font-size and radius
+            deltaETolerance: 2, // Max CIE76 ΔE for colors (about 2.3 is just noticeable)
+            colors: true, // Snap colors; the installed palette is v4's, which v3's doesn't match
+            dialect: new TailwindDialect(), // Version the classes are named for
+            ...options
+        };
+        this.scales = this.loadScales();
+        this.cache = new Map();
+    }
+
+    loadScales() {
+        // Read the defaults from the installed Tailwind so the palette matches what it generates
+        const themeCSS = fs.readFileSync(require.resolve('tailwindcss/theme.css'), 'utf-8');
+        const scales = {
+            spacing: [{ key: 'px', px: 1 }, ...SPACING_STEPS.map(step => ({ key: String(step), px: step * 4 }))],
+            text: [],
+            radius: [{ key: 'none', px: 0 }],
+            color: []
+        };
+        
+        for (const [, name, value] of themeCSS.matchAll(/--(text-[\w.]+|radius-[\w.]+|color-[\w-]+):\s*([^;]+);/g)) {
+            const [, group, key] = name.match(/^(text|radius|color)-(.+)$/);
+            if (group === 'color') {
+                const lab = this.parseColor(value);
+                if (lab) {
+                    scales.color.push({ key, value: value.trim(), lab });
+                }
+            } else if (!key.includes('--')) {
+                scales[group].push({ key, value: value.trim(), px: this.toPx(value) });
+            }
+        }
+        
+        return scales;
+    }
+
+    snap(prop, value) {
+        // Nearest scale entry within tolerance: { value, key, scale, error } or null
+        const cacheKey = `${prop}:${value}`;
+        if (!this.cache.has(cacheKey)) {
+            this.cache.set(cacheKey, this.findNearest(prop, value));
+        }
+        return this.cache.get(cacheKey);
+    }
+
+    findNearest(prop, value) {
+        const snapped = SNAPPED_PROPERTIES[prop];
+        if (!snapped) {
+            return null;
+        }
+        const [scale] = snapped;
+        
+        if (scale === 'color') {
+            if (!this.options.colors) {
+                return null;
+            }
+            const lab = this.parseColor(value);
+            const nearest = lab && this.nearest(this.scales.color, entry => this.deltaE(lab, entry.lab));
+            if (!nearest || nearest.distance > this.options.deltaETolerance) {
+                return null;
+            }
+            return { value: nearest.entry.value, key: nearest.entry.key, scale, error: nearest.distance };
+        }
+        
+        const px = this.toPx(value);
+        if (px === null || (px < 0 && !NEGATABLE.test(prop))) {
+            return null;
+        }
+        const nearest = this.nearest(this.scales[scale], entry => Math.abs(Math.abs(px) - entry.px));
+        if (!nearest || nearest.distance > this.options.pxTolerance) {
+            return null;
+        }
+        
+        const { entry } = nearest;
+        const sign = px < 0 ? '-' : '';
+        const canonical = scale === 'spacing'
+            ? (entry.key === 'px' ? `${sign}1px` : `${sign}${entry.px / ROOT_FONT_SIZE}rem`)
+            : entry.value || '0';
+        return { value: canonical, key: `${sign}${entry.key}`, scale, error: nearest.distance };
+    }
+
+    classFor(prop, value, siblings = {}) {
+        // Only exact scale values: snapping has already moved the close ones onto the scale
+        const snapped = this.snap(prop, value);
+        if (!snapped || snapped.error > 0.001) {
+            return null;
+        }
+        
+        const prefix = SNAPPED_PROPERTIES[prop][1];
+        const negative = snapped.key.startsWith('-');
+        const key = negative ? snapped.key.slice(1) : snapped.key;
+        
+        // text-sm also sets a line-height; without an authored one, set only the size
+        if (snapped.scale === 'text' && siblings['line-height'] === undefined) {
+            return this.options.dialect.fontSizeOnly(key, snapped.value);
+        }
+        // The scales are read from v4's theme
+        return this.options.dialect.fromV4(`${negative ? '-' : ''}${prefix}-${key}`);
+    }
+
+    nearest(entries, distanceTo) {
+        let best = null;
+        for (const entry of entries) {
+            const distance = distanceTo(entry);
+            if (!best || distance < best.distance) {
+                best = { entry, distance };
+            }
+        }
+        return best;
+    }
+
+    toPx(value) {
+        const match = String(value).trim().match(/^(-?[\d.]+)(px|rem)?$/);
+        if (!match || (!match[2] && parseFloat(match[1]) !== 0)) {
+            return null;
+        }
+        const number = parseFloat(match[1]);
+        return match[2] === 'rem' ? number * ROOT_FONT_SIZE : number;
+    }
+
+    parseColor(value) {
+        // Opaque hex, rgb() and oklch() colors as CIELAB; anything else isn't snapped
+        const color = value.trim().toLowerCase();
+        let rgb = null;
+        
+        const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+        const rgbFunction = color.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)\s*(?:[,/]\s*([\d.]+%?))?\s*\)$/);
+        const oklch = color.match(/^oklch\(\s*([\d.]+)(%?)\s+([\d.]+)\s+([\d.]+)\s*\)$/);
+        
+        if (hex) {
+            const digits = hex[1].length === 3 ? hex[1].replace(/./g, d => d + d) : hex[1];
+            rgb = [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16) / 255);
+        } else if (rgbFunction) {
+            const alpha = rgbFunction[4] === undefined ? 1 : parseFloat(rgbFunction[4]) / (rgbFunction[4].endsWith('%') ? 100 : 1);
+            if (alpha < 1) {
+                return null;
+            }
+            rgb = rgbFunction.slice(1, 4).map(channel => parseFloat(channel) / 255);
+        } else if (oklch) {
+            const lightness = parseFloat(oklch[1]) / (oklch[2] ? 100 : 1);
+            return this.linearToLab(this.oklchToLinear(lightness, parseFloat(oklch[3]), parseFloat(oklch[4])));
+        }
+        
+        if (!rgb) {
+            return null;
+        }
+        const linear = rgb.map(c => c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+        return this.linearToLab(linear);
+    }
+
+    oklchToLinear(lightness, chroma, hue) {
+        const a = chroma * Math.cos(hue * Math.PI / 180);
+        const b = chroma * Math.sin(hue * Math.PI / 180);
+        const l = Math.pow(lightness + 0.3963377774 * a + 0.2158037573 * b, 3);
+        const m = Math.pow(lightness - 0.1055613458 * a - 0.0638541728 * b, 3);
+        const s = Math.pow(lightness - 0.0894841775 * a - 1.2914855480 * b, 3);
+        return [
+            4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+            -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+            -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+        ];
+    }
+
+    linearToLab([r, g, b]) {
+        // Linear sRGB -> XYZ (D65) -> CIELAB
+        const xyz = [
+            (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / 0.95047,
+            (0.2126729 * r + 0.7151522 * g + 0.0721750 * b) / 1.00000,
+            (0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / 1.08883
+        ];
+        const [fx, fy, fz] = xyz.map(t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+        return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+    }
+
+    deltaE(a, b) {
+        return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+    }
+}
+
+module.exports = { ValueSnapper };
@@ -0,0 +1,229 @@
+// Finds every style source of a page (linked stylesheets, <style> blocks and style attributes)
+// in cascade order, reads the ones being converted and builds the pages each capture pass loads
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// URLs with a scheme (https:, data:) or protocol-relative ones never point into the page's folder
+const REMOTE_URL = /^([a-z][a-z\d+.-]*:|\/\/)/i;
+
+// Source name of the page's style="" attributes, taken together
+const INLINE_SOURCE = 'inline';
+
+function localPath(htmlPath, url) {
+    // Filesystem path of a page-relative URL; null when it's remote, the page's location is
+    // unknown or it doesn't decode (a stray %), since no file could be named by it
+    if (!htmlPath || REMOTE_URL.test(url)) {
+        return null;
+    }
+    try {
+        return path.resolve(path.dirname(htmlPath), decodeURIComponent(url.split(/[?#]/)[0]));
+    } catch {
+        return null;
+    }
+}
+
+function styleElements(document) {
+    // <link rel="stylesheet"> and <style> in document order; the same list for every parse of the page
+    return [...document.querySelectorAll('link[href], style')].filter(element =>
+        element.localName === 'style' || /(^|\s)stylesheet(\s|$)/i.test(element.getAttribute('rel') || ''));
+}
+
+class StyleSources {
+    constructor(options = {}) {
+        this.options = {
+            htmlPath: null, // Linked stylesheets are read relative to the page
+            cssPaths: [], // Stylesheets given explicitly; their contents are passed to collect()
+            external: [], // Source names, hrefs or globs (bootstrap*) left in the page as they are
+            ...options
+        };
+        // { name, kind: 'link'|'style'|'file'|'inline', index, href, path, css, converted } in cascade order
+        this.sources = [];
+        this.warnings = [];
+        this.patterns = this.options.external.map(pattern =>
+            new RegExp(`^${pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`)
+        );
+    }
+
+    async collect(document, givenCSS = []) {
+        // givenCSS holds the contents of cssPaths in the same order; CSS without a path counts too
+        const given = givenCSS.map((css, i) => {
+            const cssPath = this.options.cssPaths[i];
+            return { css, name: cssPath || `css:${i + 1}`, path: cssPath ? path.resolve(cssPath) : null, linked: false };
+        });
+        this.sources = [];
+        let styleCount = 0;
+        
+        for (const [index, element] of styleElements(document).entries()) {
+            if (element.localName === 'style') {
+                const name = `style:${++styleCount}`;
+                this.sources.push({ name, kind: 'style', index, css: element.textContent, converted: !this.isExternal(name) });
+                continue;
+            }
+            
+            const href = element.getAttribute('href');
+            const source = { name: href, kind: 'link', index, href, path: localPath(this.options.htmlPath, href), css: null, converted: false };
+            this.sources.push(source);
+            
+            const file = this.givenFile(given, href, source.path);
+            if (file) {
+                file.linked = true;
+                Object.assign(source, { path: file.path, css: file.css, converted: !this.isExternal(href) });
+                continue;
+            }
+            if (!source.path) {
+                continue; // Remote (a CDN), or the page's location is unknown: stays linked
+            }
+            
+            // Read even when external: the capture page is about:blank, where the link can't load
+            try {
+                source.css = await fs.readFile(source.path, 'utf-8');
+                source.converted = !this.isExternal(href);
+            } catch {
+                this.warnings.push(`Could not read linked stylesheet ${href}; it was left as it is`);
+            }
+        }
+        
+        // Given stylesheets the page doesn't link apply after its own, as an injected <style> would
+        for (const file of given.filter(file => !file.linked)) {
+            if (file.path) {
+                this.warnings.push(`${file.name} isn't linked from the page; converted as if it came after the page's own styles`);
+            }
+            this.sources.push({ name: file.name, kind: 'file', index: null, path: file.path, css: file.css, converted: !this.isExternal(file.name) });
+        }
+        
+        // Style attributes outrank every stylesheet rule that isn't !important
+        const inlineCount = document.querySelectorAll('[style]').length;
+        if (inlineCount > 0) {
+            this.sources.push({ name: INLINE_SOURCE, kind: 'inline', index: null, count: inlineCount, converted: !this.isExternal(INLINE_SOURCE) });
+        }
+        
+        return this.sources;
+    }
+
+    givenFile(given, href, localPath) {
+        // A link to a given stylesheet, by path; by file name when the page's location is
+        // unknown or its hrefs are site-absolute
+        if (REMOTE_URL.test(href)) {
+            return null;
+        }
+        const byPath = localPath && given.find(file => file.path === localPath);
+        const name = path.basename(href.split(/[?#]/)[0]);
+        return byPath || given.find(file => !file.linked && file.path && path.basename(file.path) === name) || null;
+    }
+
+    isExternal(name) {
+        // Globs match the whole name or just its file name: bootstrap* matches css/bootstrap.min.css
+        const fileName = path.basename(name.split(/[?#]/)[0]);
+        return this.patterns.some(pattern => pattern.test(name) || pattern.test(fileName));
+    }
+
+    convertedCSS() {
+        // The converted stylesheets in cascade order, as one; style attributes aren't part of it
+        return this.converted().filter(source => source.kind !== 'inline').map(source => source.css);
+    }
+
+    converted() {
+        return this.sources.filter(source => source.converted);
+    }
+
+    convertsInline() {
+        return this.sources.some(source => source.kind === 'inline' && source.converted);
+    }
+
+    localPaths() {
+        // Files the conversion read, for watching
+        return [...new Set(this.sources.filter(source => source.path && source.css !== null).map(source => source.path))];
+    }
+
+    preparePage(document, css) {
+        // The page a capture pass loads: external sources as they were, the converted ones
+        // replaced by `css` where the first of them was (or dropped, with css === null).
+        // Converted style attributes only apply along with the converted CSS
+        const elements = styleElements(document);
+        let anchor = null;
+        
+        for (const source of this.sources.filter(source => source.index !== null)) {
+            const element = elements[source.index];
+            if (!source.converted) {
+                this.inlineExternal(element, source);
+            } else if (anchor === null && css !== null) {
+                anchor = this.replaceWithStyle(element, css);
+            } else {
+                element.remove();
+            }
+        }
+        if (anchor === null && css !== null && this.convertedCSS().length > 0) {
+            const style = document.createElement('style');
+            style.textContent = css;
+            document.head.appendChild(style);
+        }
+        
+        if (css === null && this.convertsInline()) {
+            for (const element of document.querySelectorAll('[style]')) {
+                element.removeAttribute('style');
+            }
+        }
+    }
+
+    removeConverted(document) {
+        // The converted page keeps only the external sources
+        const elements = styleElements(document);
+        for (const source of this.converted()) {
+            if (source.index !== null) {
+                elements[source.index].remove();
+            }
+        }
+        if (this.convertsInline()) {
+            for (const element of document.querySelectorAll('[style]')) {
+                element.removeAttribute('style');
+            }
+        }
+    }
+
+    inlineExternalLinks(document) {
+        // Pages are rendered from about:blank, where local links can't load
+        for (const element of styleElements(document)) {
+            const source = this.sources.find(source => source.kind === 'link' && !source.converted &&
+                source.href === element.getAttribute('href'));
+            if (source) {
+                this.inlineExternal(element, source);
+            }
+        }
+    }
+
+    inlineExternal(element, source) {
+        if (source.kind === 'link' && source.css !== null) {
+            this.replaceWithStyle(element, source.css);
+        }
+    }
+
+    replaceWithStyle(element, css) {
+        const style = element.ownerDocument.createElement('style');
+        style.textContent = css;
+        element.replaceWith(style);
+        return style;
+    }
+
+    interleaved() {
+        // Converted sources merge into one stylesheet, so an external one between two of them
+        // ends up on one side
+        const ordered = this.sources.filter(source => source.kind !== 'inline' && (source.converted || source.index !== null));
+        const first = ordered.findIndex(source => source.converted);
+        const last = ordered.map(source => source.converted).lastIndexOf(true);
+        return first === -1 ? [] : ordered.slice(first, last + 1).filter(source => !source.converted);
+    }
+
+    summarize() {
+        // Names as listed to the user: style.css, style:1, inline (12 elements)
+        const describe = source => source.kind === 'inline'
+            ? `${source.name} (${source.count} element${source.count === 1 ? '' : 's'})`
+            : source.name;
+        return {
+            converted: this.converted().map(describe),
+            external: this.sources.filter(source => !source.converted).map(describe)
+        };
+    }
+}
+
+module.exports = { StyleSources, localPath, REMOTE_URL, INLINE_SOURCE };
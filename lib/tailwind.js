@@ -0,0 +1,37 @@
+// Compiles the classes used in the converted page into a static Tailwind stylesheet
+
+const path = require('path');
+
+class TailwindCompiler {
+    constructor(options = {}) {
+        this.options = {
+            minify: true,
+            ...options
+        };
+    }
+
+    async compile(candidates, extraCSS = '') {
+        // Loaded on demand: it pulls in the whole Tailwind toolchain
+        const { compile, optimize } = require('@tailwindcss/node');
+        
+        // Resolve "tailwindcss" from this package's node_modules, not the user's cwd
+        const input = `@import "tailwindcss";\n${extraCSS}`;
+        const compiler = await compile(input, {
+            base: path.join(__dirname, '..'),
+            onDependency: () => {}
+        });
+        
+        const css = compiler.build([...new Set(candidates)]);
+        return optimize(css, { minify: this.options.minify }).code;
+    }
+
+    async loadDesignSystem(extraCSS = '') {
+        // Tailwind's view of the theme and utilities: class order, which classes exist
+        const { __unstable__loadDesignSystem } = require('@tailwindcss/node');
+        return __unstable__loadDesignSystem(`@import "tailwindcss";\n${extraCSS}`, {
+            base: path.join(__dirname, '..')
+        });
+    }
+}
+
+module.exports = { TailwindCompiler };
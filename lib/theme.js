@@ -0,0 +1,244 @@
+// Collects :root custom properties and turns them into Tailwind theme tokens
+
+const safeParser = require('postcss-safe-parser');
+
+const NAMED_COLORS = new Set([
+    'transparent', 'currentcolor', 'black', 'white', 'red', 'green', 'blue', 'yellow', 'orange',
+    'purple', 'pink', 'gray', 'grey', 'silver', 'maroon', 'olive', 'lime', 'aqua', 'teal', 'navy',
+    'fuchsia', 'brown', 'gold', 'indigo', 'violet', 'cyan', 'magenta', 'crimson', 'coral', 'tomato',
+    'salmon', 'khaki', 'beige', 'ivory', 'lavender', 'tan', 'skyblue', 'steelblue', 'slategray',
+    'darkgray', 'lightgray', 'whitesmoke', 'gainsboro'
+]);
+
+// Theme namespaces: Tailwind v4 variable prefix and v3 config key
+const CATEGORIES = {
+    color: { themePrefix: '--color-', configKey: 'colors' },
+    spacing: { themePrefix: '--spacing-', configKey: 'spacing' },
+    radius: { themePrefix: '--radius-', configKey: 'borderRadius' }
+};
+
+// CSS property -> [theme category, utility prefix]
+const THEMED_PROPERTIES = {
+    'color': ['color', 'text'],
+    'background-color': ['color', 'bg'],
+    'border-color': ['color', 'border'],
+    'border-top-color': ['color', 'border-t'],
+    'border-right-color': ['color', 'border-r'],
+    'border-bottom-color': ['color', 'border-b'],
+    'border-left-color': ['color', 'border-l'],
+    'outline-color': ['color', 'outline'],
+    'text-decoration-color': ['color', 'decoration'],
+    'caret-color': ['color', 'caret'],
+    'accent-color': ['color', 'accent'],
+    'fill': ['color', 'fill'],
+    'stroke': ['color', 'stroke'],
+    'padding': ['spacing', 'p'],
+    'padding-top': ['spacing', 'pt'],
+    'padding-right': ['spacing', 'pr'],
+    'padding-bottom': ['spacing', 'pb'],
+    'padding-left': ['spacing', 'pl'],
+    'margin': ['spacing', 'm'],
+    'margin-top': ['spacing', 'mt'],
+    'margin-right': ['spacing', 'mr'],
+    'margin-bottom': ['spacing', 'mb'],
+    'margin-left': ['spacing', 'ml'],
+    'gap': ['spacing', 'gap'],
+    'row-gap': ['spacing', 'gap-y'],
+    'column-gap': ['spacing', 'gap-x'],
+    'width': ['spacing', 'w'],
+    'height': ['spacing', 'h'],
+    'min-width': ['spacing', 'min-w'],
+    'max-width': ['spacing', 'max-w'],
+    'min-height': ['spacing', 'min-h'],
+    'max-height': ['spacing', 'max-h'],
+    'top': ['spacing', 'top'],
+    'right': ['spacing', 'right'],
+    'bottom': ['spacing', 'bottom'],
+    'left': ['spacing', 'left'],
+    'inset': ['spacing', 'inset'],
+    'border-radius': ['radius', 'rounded'],
+    'border-top-left-radius': ['radius', 'rounded-tl'],
+    'border-top-right-radius': ['radius', 'rounded-tr'],
+    'border-bottom-right-radius': ['radius', 'rounded-br'],
+    'border-bottom-left-radius': ['radius', 'rounded-bl']
+};
+
+class ThemeExtractor {
+    constructor() {
+        this.tokens = {};
+    }
+
+    collect(css) {
+        // Declarations of every top-level :root rule, later ones winning. A property also set
+        // anywhere else (a :root in @media, .dark, ...) has no single value
+        const declarations = {};
+        const redefined = new Set();
+        
+        safeParser(css).walkDecls(/^--/, decl => {
+            const rule = decl.parent;
+            if (rule.type === 'rule' && rule.parent.type === 'root' && rule.selectors.some(s => s.trim() === ':root')) {
+                declarations[decl.prop] = decl.value.trim();
+            } else {
+                redefined.add(decl.prop);
+            }
+        });
+        
+        for (const [name, value] of Object.entries(declarations)) {
+            const resolved = this.resolve(value, declarations);
+            const category = this.classify(name, resolved);
+            this.tokens[name] = {
+                value,
+                resolved,
+                category,
+                key: category ? this.tokenKey(name, category) : null,
+                varies: this.varies(name, declarations, redefined)
+            };
+        }
+        
+        return this.tokens;
+    }
+
+    varies(name, declarations, redefined, seen = new Set()) {
+        // Redefined somewhere, or built from a property that is
+        if (redefined.has(name)) {
+            return true;
+        }
+        return [...(declarations[name] || '').matchAll(/var\(\s*(--[\w-]+)/g)].some(([, reference]) =>
+            !seen.has(reference) && this.varies(reference, declarations, redefined, new Set([...seen, name])));
+    }
+
+    resolve(value, declarations, seen = new Set()) {
+        // Follow var(--x) references (with fallbacks) down to a literal value
+        return value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^)]+))?\)/g, (match, name, fallback) => {
+            if (seen.has(name)) {
+                return match;
+            }
+            if (declarations[name] !== undefined) {
+                return this.resolve(declarations[name], declarations, new Set([...seen, name]));
+            }
+            return fallback ? fallback.trim() : match;
+        });
+    }
+
+    classify(name, value) {
+        const lower = value.toLowerCase();
+        
+        if (/radius|rounded/.test(name) && this.isLength(lower)) {
+            return 'radius';
+        }
+        if (/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(lower) ||
+            /^(rgba?|hsla?|hwb|lab|lch|oklab|oklch|color-mix)\(/.test(lower) ||
+            NAMED_COLORS.has(lower)) {
+            return 'color';
+        }
+        if (this.isLength(lower)) {
+            return 'spacing';
+        }
+        
+        return null;
+    }
+
+    isLength(value) {
+        return /^-?[\d.]+(px|rem|em|vw|vh|%)$/.test(value) || value === '0' || /^calc\(/.test(value);
+    }
+
+    tokenKey(name, category) {
+        // --color-primary -> primary, --border-radius -> base, --gutter -> gutter
+        const prefixes = {
+            color: /^(color|colour|clr)-/,
+            spacing: /^(spacing|space)-/,
+            radius: /^(border-)?(radius|rounded)-?|-?(border-)?radius$/
+        };
+        const key = name.replace(/^--/, '').replace(prefixes[category], '');
+        
+        return key || 'base';
+    }
+
+    classFor(prop, value) {
+        const themed = THEMED_PROPERTIES[prop];
+        if (!themed) {
+            return null;
+        }
+        
+        const [category, prefix] = themed;
+        const reference = value.match(/^var\(\s*(--[\w-]+)\s*(?:,[^)]*)?\)$/);
+        const token = reference
+            ? this.tokens[reference[1]]
+            : category === 'color' && this.findTokenByValue(value, category);
+        
+        if (!token || token.category !== category) {
+            return null;
+        }
+        
+        return `${prefix}-${token.key}`;
+    }
+
+    findTokenByValue(value, category) {
+        // Only a token that always has this value stands for it
+        const normalized = value.trim().toLowerCase();
+        return Object.values(this.tokens).find(token =>
+            token.category === category && !token.varies && token.resolved.toLowerCase() === normalized
+        ) || null;
+    }
+
+    hasTokens() {
+        return Object.keys(this.tokens).length > 0;
+    }
+
+    toThemeCSS() {
+        // Tailwind v4 @theme for classified tokens; the original custom properties stay
+        // on :root so remaining var(--x) references still resolve. Tokens that vary are
+        // inlined as references, so utilities read the property wherever it's redefined
+        const themeLines = [];
+        const inlineLines = [];
+        for (const [name, token] of Object.entries(this.tokens)) {
+            if (token.varies && token.category) {
+                inlineLines.push(`    ${CATEGORIES[token.category].themePrefix}${token.key}: var(${name});`);
+            } else if (token.category) {
+                themeLines.push(`    ${CATEGORIES[token.category].themePrefix}${token.key}: ${token.resolved};`);
+            }
+        }
+        
+        const inline = inlineLines.length > 0 ? `@theme inline {\n${inlineLines.join('\n')}\n}\n\n` : '';
+        return `@theme {\n${themeLines.join('\n')}\n}\n\n${inline}${this.toRootCSS()}`;
+    }
+
+    toRootCSS() {
+        // The custom properties as authored; v3 reads the tokens from its config instead
+        const rootLines = Object.entries(this.tokens).map(([name, token]) => `    ${name}: ${token.value};`);
+        return `:root {\n${rootLines.join('\n')}\n}\n`;
+    }
+
+    toTailwindConfig(options = {}) {
+        // Tailwind v3 config file extending the default theme
+        return `/** @type {import('tailwindcss').Config} */\nmodule.exports = ${JSON.stringify({
+            content: ['./**/*.{html,jsx,vue}'],
+            ...this.tailwindConfig(options)
+        }, null, 4)};\n`;
+    }
+
+    tailwindConfig({ tokens = true, darkMode = null, screens = {}, blocklist = [] } = {}) {
+        // The config object alone, as the v3 Play CDN takes it; what isn't a token (dark mode,
+        // breakpoints, classes never to generate) comes from the converter
+        const extend = {};
+        for (const [name, token] of Object.entries(this.tokens)) {
+            if (!tokens || !token.category) {
+                continue;
+            }
+            const configKey = CATEGORIES[token.category].configKey;
+            extend[configKey] = extend[configKey] || {};
+            extend[configKey][token.key] = token.varies ? `var(${name})` : token.resolved;
+        }
+        if (Object.keys(screens).length > 0) {
+            extend.screens = screens;
+        }
+        
+        return {
+            ...(darkMode ? { darkMode } : {}),
+            theme: { extend },
+            ...(blocklist.length > 0 ? { blocklist } : {})
+        };
+    }
+}
+
+module.exports = { ThemeExtractor, THEMED_PROPERTIES };
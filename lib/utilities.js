@@ -0,0 +1,144 @@
+// CSS property -> Tailwind utility that takes an arbitrary value, as [prefix, data type hint].
+// The hint is set where a prefix serves several properties (text-[length:…] vs text-[color:…]);
+// properties without an entry fall back to the [property:value] syntax. Border and outline
+// widths and transition-property are left out on purpose: their utilities also set a style
+// or a default duration the original didn't have.
+
+const PROPERTY_UTILITIES = {
+    // Sizing
+    'width': ['w'],
+    'min-width': ['min-w'],
+    'max-width': ['max-w'],
+    'height': ['h'],
+    'min-height': ['min-h'],
+    'max-height': ['max-h'],
+    'aspect-ratio': ['aspect'],
+
+    // Spacing
+    'margin': ['m'],
+    'margin-top': ['mt'],
+    'margin-right': ['mr'],
+    'margin-bottom': ['mb'],
+    'margin-left': ['ml'],
+    'margin-inline': ['mx'],
+    'margin-block': ['my'],
+    'margin-inline-start': ['ms'],
+    'margin-inline-end': ['me'],
+    'padding': ['p'],
+    'padding-top': ['pt'],
+    'padding-right': ['pr'],
+    'padding-bottom': ['pb'],
+    'padding-left': ['pl'],
+    'padding-inline': ['px'],
+    'padding-block': ['py'],
+    'padding-inline-start': ['ps'],
+    'padding-inline-end': ['pe'],
+    'scroll-margin': ['scroll-m'],
+    'scroll-margin-top': ['scroll-mt'],
+    'scroll-margin-right': ['scroll-mr'],
+    'scroll-margin-bottom': ['scroll-mb'],
+    'scroll-margin-left': ['scroll-ml'],
+    'scroll-padding': ['scroll-p'],
+    'scroll-padding-top': ['scroll-pt'],
+    'scroll-padding-right': ['scroll-pr'],
+    'scroll-padding-bottom': ['scroll-pb'],
+    'scroll-padding-left': ['scroll-pl'],
+
+    // Positioning
+    'inset': ['inset'],
+    'inset-inline': ['inset-x'],
+    'inset-block': ['inset-y'],
+    'inset-inline-start': ['start'],
+    'inset-inline-end': ['end'],
+    'top': ['top'],
+    'right': ['right'],
+    'bottom': ['bottom'],
+    'left': ['left'],
+    'z-index': ['z'],
+
+    // Flexbox and grid
+    'flex': ['flex'],
+    'flex-basis': ['basis'],
+    'flex-grow': ['grow'],
+    'flex-shrink': ['shrink'],
+    'order': ['order'],
+    'gap': ['gap'],
+    'row-gap': ['gap-y'],
+    'column-gap': ['gap-x'],
+    'grid-template-columns': ['grid-cols'],
+    'grid-template-rows': ['grid-rows'],
+    'grid-column': ['col'],
+    'grid-column-start': ['col-start'],
+    'grid-column-end': ['col-end'],
+    'grid-row': ['row'],
+    'grid-row-start': ['row-start'],
+    'grid-row-end': ['row-end'],
+    'grid-auto-columns': ['auto-cols'],
+    'grid-auto-rows': ['auto-rows'],
+    'columns': ['columns'],
+
+    // Typography
+    'color': ['text', 'color'],
+    'font-size': ['text', 'length'],
+    'font-weight': ['font', 'number'],
+    'font-family': ['font', 'family-name'],
+    'line-height': ['leading'],
+    'letter-spacing': ['tracking'],
+    'text-indent': ['indent'],
+    'vertical-align': ['align'],
+    'text-decoration-color': ['decoration', 'color'],
+    'text-decoration-thickness': ['decoration', 'length'],
+    'text-underline-offset': ['underline-offset'],
+    'list-style-image': ['list-image'],
+
+    // Backgrounds
+    'background-color': ['bg', 'color'],
+    'background-image': ['bg', 'image'],
+    'background-size': ['bg', 'length'],
+    'background-position': ['bg', 'position'],
+    'object-position': ['object'],
+
+    // Borders and outlines
+    'border-color': ['border', 'color'],
+    'border-top-color': ['border-t', 'color'],
+    'border-right-color': ['border-r', 'color'],
+    'border-bottom-color': ['border-b', 'color'],
+    'border-left-color': ['border-l', 'color'],
+    'border-radius': ['rounded'],
+    'border-top-left-radius': ['rounded-tl'],
+    'border-top-right-radius': ['rounded-tr'],
+    'border-bottom-right-radius': ['rounded-br'],
+    'border-bottom-left-radius': ['rounded-bl'],
+    'border-spacing': ['border-spacing'],
+    'outline-color': ['outline', 'color'],
+    'outline-offset': ['outline-offset'],
+
+    // Effects and filters
+    'box-shadow': ['shadow'],
+    'opacity': ['opacity'],
+    'filter': ['filter'],
+    'backdrop-filter': ['backdrop-filter'],
+    'mask-image': ['mask'],
+
+    // Transforms
+    'transform': ['transform'],
+    'transform-origin': ['origin'],
+    'perspective': ['perspective'],
+
+    // Transitions and animation
+    'transition-duration': ['duration'],
+    'transition-timing-function': ['ease'],
+    'transition-delay': ['delay'],
+    'animation': ['animate'],
+
+    // Interactivity and SVG
+    'cursor': ['cursor'],
+    'will-change': ['will-change'],
+    'caret-color': ['caret', 'color'],
+    'accent-color': ['accent', 'color'],
+    'fill': ['fill', 'color'],
+    'stroke': ['stroke', 'color'],
+    'stroke-width': ['stroke', 'length']
+};
+
+module.exports = { PROPERTY_UTILITIES };
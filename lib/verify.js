@@ -0,0 +1,211 @@
+// Renders the original and converted pages side by side and reports visual differences
+
+const fs = require('fs').promises;
+const path = require('path');
+const { chromium } = require('playwright');
+const { PNG } = require('pngjs');
+
+// Computed properties compared per element
+const COMPARED_PROPERTIES = [
+    'display', 'position', 'top', 'right', 'bottom', 'left', 'z-index', 'float',
+    'width', 'height', 'min-width', 'max-width', 'min-height', 'max-height',
+    'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+    'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+    'border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width',
+    'border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color',
+    'border-top-style', 'border-right-style', 'border-bottom-style', 'border-left-style',
+    'border-top-left-radius', 'border-top-right-radius', 'border-bottom-right-radius', 'border-bottom-left-radius',
+    'color', 'background-color', 'background-image', 'opacity', 'box-shadow', 'visibility',
+    'font-family', 'font-size', 'font-weight', 'font-style', 'line-height', 'letter-spacing',
+    'text-align', 'text-transform', 'text-decoration-line', 'white-space',
+    'flex-direction', 'flex-wrap', 'flex-grow', 'flex-shrink', 'flex-basis',
+    'justify-content', 'align-items', 'align-self', 'row-gap', 'column-gap',
+    'grid-template-columns', 'grid-template-rows', 'overflow-x', 'overflow-y', 'transform'
+];
+
+// ms the Tailwind browser build gets to generate its stylesheet
+const RUNTIME_TIMEOUT = 10000;
+
+class VisualVerifier {
+    constructor(options = {}) {
+        this.options = {
+            breakpoints: {}, // { name: { width, height } }
+            outputDir: null, // Screenshots, diff images and report.json go to <outputDir>/verify
+            browser: null,
+            runtime: null, // { url, path }: the Tailwind runtime the page loads, served from path instead
+            pixelThreshold: 0.1, // pixelmatch colour distance per pixel (0-1)
+            boxTolerance: 1, // px a bounding box may move or resize before it is reported
+            ...options
+        };
+    }
+
+    async verify({ originalHTML, originalCSS, convertedHTML, convertedCSS = null, convertedRuntime = false }) {
+        const { default: pixelmatch } = await import('pixelmatch');
+        const browser = this.options.browser || await chromium.launch({ headless: true });
+        const verifyDir = this.options.outputDir ? path.join(this.options.outputDir, 'verify') : null;
+        const report = {};
+        
+        if (verifyDir) {
+            await fs.mkdir(verifyDir, { recursive: true });
+        }
+        
+        try {
+            for (const [breakpoint, viewport] of Object.entries(this.options.breakpoints)) {
+                const context = await browser.newContext({ viewport });
+                try {
+                    const original = await this.render(context, originalHTML, originalCSS, false);
+                    const converted = await this.render(context, convertedHTML, convertedCSS, convertedRuntime);
+                    
+                    const pixels = this.diffScreenshots(pixelmatch, original.screenshot, converted.screenshot);
+                    const elements = this.diffElements(original.elements, converted.elements);
+                    
+                    report[breakpoint] = {
+                        viewport,
+                        mismatchedPixels: pixels.mismatched,
+                        mismatchRatio: pixels.ratio,
+                        divergingElements: Object.keys(elements).length,
+                        runtimeTimedOut: converted.runtimeTimedOut,
+                        elements
+                    };
+                    
+                    if (verifyDir) {
+                        await fs.writeFile(path.join(verifyDir, `${breakpoint}-original.png`), original.screenshot);
+                        await fs.writeFile(path.join(verifyDir, `${breakpoint}-converted.png`), converted.screenshot);
+                        await fs.writeFile(path.join(verifyDir, `${breakpoint}-diff.png`), pixels.image);
+                    }
+                } finally {
+                    await context.close();
+                }
+            }
+        } finally {
+            if (!this.options.browser) {
+                await browser.close();
+            }
+        }
+        
+        if (verifyDir) {
+            await fs.writeFile(path.join(verifyDir, 'report.json'), JSON.stringify(report, null, 2));
+        }
+        
+        return report;
+    }
+
+    async render(context, html, css, runtime) {
+        // runtime: the page loads the Tailwind browser build, whose styles must exist before comparing
+        const page = await context.newPage();
+        try {
+            if (this.options.runtime?.path) {
+                await page.route(this.options.runtime.url, route => route.fulfill({
+                    path: this.options.runtime.path,
+                    contentType: 'application/javascript'
+                }));
+            }
+            await page.setContent(html, { waitUntil: 'load' });
+            
+            if (css !== null) {
+                await page.addStyleTag({ content: css });
+            }
+            const runtimeTimedOut = runtime ? !await this.waitForTailwind(page) : false;
+            
+            const screenshot = await page.screenshot({ fullPage: true, animations: 'disabled' });
+            const elements = await page.evaluate((properties) => {
+                const result = {};
+                for (const el of document.querySelectorAll('[data-element-id]')) {
+                    const computed = getComputedStyle(el);
+                    const rect = el.getBoundingClientRect();
+                    const styles = {};
+                    for (const prop of properties) {
+                        styles[prop] = computed.getPropertyValue(prop);
+                    }
+                    result[`element-id-${el.dataset.elementId}`] = {
+                        box: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+                        styles
+                    };
+                }
+                return result;
+            }, COMPARED_PROPERTIES);
+            
+            return { screenshot, elements, runtimeTimedOut };
+        } finally {
+            await page.close();
+        }
+    }
+
+    async waitForTailwind(page) {
+        // The browser build injects its generated stylesheet asynchronously; false when it never did
+        try {
+            await page.waitForFunction(() => [...document.querySelectorAll('style')]
+                .some(style => style.textContent.includes('tailwindcss')), null, { timeout: RUNTIME_TIMEOUT });
+            return true;
+        } catch (err) {
+            if (err.name !== 'TimeoutError') {
+                throw err;
+            }
+            return false;
+        }
+    }
+
+    diffScreenshots(pixelmatch, originalBuffer, convertedBuffer) {
+        // Full-page screenshots differ in height when layout shifts; compare on a shared canvas
+        const original = PNG.sync.read(originalBuffer);
+        const converted = PNG.sync.read(convertedBuffer);
+        const width = Math.max(original.width, converted.width);
+        const height = Math.max(original.height, converted.height);
+        const a = this.padImage(original, width, height);
+        const b = this.padImage(converted, width, height);
+        const diff = new PNG({ width, height });
+        
+        const mismatched = pixelmatch(a.data, b.data, diff.data, width, height, {
+            threshold: this.options.pixelThreshold
+        });
+        
+        return {
+            mismatched,
+            ratio: Number((mismatched / (width * height)).toFixed(6)),
+            image: PNG.sync.write(diff)
+        };
+    }
+
+    padImage(image, width, height) {
+        if (image.width === width && image.height === height) {
+            return image;
+        }
+        const padded = new PNG({ width, height });
+        padded.data.fill(0);
+        PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+        return padded;
+    }
+
+    diffElements(original, converted) {
+        const diverging = {};
+        const tolerance = this.options.boxTolerance;
+        
+        for (const [elementId, before] of Object.entries(original)) {
+            const after = converted[elementId];
+            if (!after) {
+                diverging[elementId] = { missing: true };
+                continue;
+            }
+            
+            const differences = {};
+            for (const prop of COMPARED_PROPERTIES) {
+                if (before.styles[prop] !== after.styles[prop]) {
+                    differences[prop] = { original: before.styles[prop], converted: after.styles[prop] };
+                }
+            }
+            for (const key of ['x', 'y', 'width', 'height']) {
+                if (Math.abs(before.box[key] - after.box[key]) > tolerance) {
+                    differences[`box.${key}`] = { original: before.box[key], converted: after.box[key] };
+                }
+            }
+            
+            if (Object.keys(differences).length > 0) {
+                diverging[elementId] = differences;
+            }
+        }
+        
+        return diverging;
+    }
+}
+
+module.exports = { VisualVerifier };
@@ -0,0 +1,113 @@
+// Re-runs a conversion whenever its input files change and reports whose classes changed
+
+const fs = require('fs');
+const path = require('path');
+const { CSSToTailwindConverter } = require('../converter');
+
+class ConversionWatcher {
+    constructor(options = {}) {
+        this.options = {
+            htmlPath: null,
+            cssPaths: [],
+            quiet: false,
+            interval: 300, // ms between checks of the input files' modification times
+            ...options
+        };
+        this.previous = null; // element-id-N -> classes from the last successful run
+        this.watched = new Set();
+        this.running = false;
+        this.queued = false;
+    }
+
+    async start() {
+        [this.options.htmlPath, ...this.options.cssPaths].forEach(file => this.watch(path.resolve(file)));
+        await this.rerun();
+        this.report(`\n👀 Watching ${this.watched.size} files for changes (Ctrl+C to stop)`);
+    }
+
+    watch(file) {
+        // Polling survives editors that save by replacing the file
+        if (this.watched.has(file)) {
+            return;
+        }
+        this.watched.add(file);
+        fs.watchFile(file, { interval: this.options.interval }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                this.report(`\n↻ ${path.basename(file)} changed`);
+                this.rerun();
+            }
+        });
+    }
+
+    stop() {
+        for (const file of this.watched) {
+            fs.unwatchFile(file);
+        }
+        this.watched.clear();
+    }
+
+    async rerun() {
+        // Changes arriving mid-run trigger one more run once it finishes
+        if (this.running) {
+            this.queued = true;
+            return;
+        }
+        this.running = true;
+        try {
+            do {
+                this.queued = false;
+                await this.convert();
+            } while (this.queued);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async convert() {
+        // Unchanged breakpoints and elements come from the cache, so only the edit is recaptured
+        const converter = new CSSToTailwindConverter({ ...this.options, cache: true });
+        let result;
+        try {
+            result = await converter.run();
+        } catch {
+            return; // run() has already reported the error; the next save may fix it
+        } finally {
+            // Stylesheets the page links are only known once it has been read
+            converter.styleSources?.localPaths().forEach(file => this.watch(file));
+        }
+        
+        if (this.previous) {
+            this.reportChanges(this.previous, result.classes, converter.elementTags);
+        }
+        this.previous = result.classes;
+    }
+
+    reportChanges(before, after, tags) {
+        const changed = [];
+        for (const elementId of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            const was = new Set((before[elementId] || '').split(' ').filter(Boolean));
+            const now = new Set((after[elementId] || '').split(' ').filter(Boolean));
+            const removed = [...was].filter(className => !now.has(className));
+            const added = [...now].filter(className => !was.has(className));
+            if (removed.length > 0 || added.length > 0) {
+                const tag = tags[elementId] ? ` <${tags[elementId]}>` : '';
+                changed.push(`    ${elementId}${tag}: ${[...removed.map(c => `-${c}`), ...added.map(c => `+${c}`)].join(' ')}`);
+            }
+        }
+        
+        if (changed.length === 0) {
+            this.report('✓ No element\'s classes changed');
+            return;
+        }
+        this.report(`✓ ${changed.length} elements' classes changed:`);
+        changed.forEach(line => this.report(line));
+    }
+
+    report(message) {
+        if (!this.options.quiet) {
+            console.log(message);
+        }
+    }
+}
+
+module.exports = { ConversionWatcher };
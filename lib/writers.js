@@ -0,0 +1,300 @@
+// Writes the converted page as JSX, as a Vue single-file component, or as the original source
+// with only its class attributes rewritten
+
+// Output formats; 'html' is the serialized document the converter always produces
+const OUTPUT_FORMATS = ['html', 'jsx', 'vue', 'patch'];
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// HTML attribute -> React prop, where it isn't just the same name
+const JSX_ATTRIBUTES = {
+    'class': 'className',
+    'for': 'htmlFor',
+    'tabindex': 'tabIndex',
+    'readonly': 'readOnly',
+    'maxlength': 'maxLength',
+    'minlength': 'minLength',
+    'colspan': 'colSpan',
+    'rowspan': 'rowSpan',
+    'contenteditable': 'contentEditable',
+    'crossorigin': 'crossOrigin',
+    'autocomplete': 'autoComplete',
+    'autofocus': 'autoFocus',
+    'autoplay': 'autoPlay',
+    'enctype': 'encType',
+    'srcset': 'srcSet',
+    'usemap': 'useMap',
+    'frameborder': 'frameBorder',
+    'allowfullscreen': 'allowFullScreen',
+    'cellpadding': 'cellPadding',
+    'cellspacing': 'cellSpacing',
+    'datetime': 'dateTime',
+    'novalidate': 'noValidate',
+    'spellcheck': 'spellCheck',
+    'inputmode': 'inputMode',
+    'accesskey': 'accessKey',
+    'charset': 'charSet',
+    'formaction': 'formAction',
+    'hreflang': 'hrefLang',
+    'referrerpolicy': 'referrerPolicy',
+    'playsinline': 'playsInline',
+    'accept-charset': 'acceptCharset',
+    'http-equiv': 'httpEquiv'
+};
+
+// Attributes React expects without a value when present
+const BOOLEAN_ATTRIBUTES = new Set([
+    'allowfullscreen', 'async', 'autofocus', 'autoplay', 'checked', 'controls', 'default', 'defer',
+    'disabled', 'hidden', 'itemscope', 'loop', 'multiple', 'muted', 'novalidate', 'open',
+    'playsinline', 'readonly', 'required', 'reversed', 'selected'
+]);
+
+// Server-side template expressions inside a class attribute (Blade, Twig, Jinja, PHP)
+const TEMPLATE_EXPRESSION = /\{\{[\s\S]*?\}\}|\{!![\s\S]*?!!\}|\{%[\s\S]*?%\}|<\?[\s\S]*?\?>/g;
+
+class MarkupWriter {
+    constructor(options = {}) {
+        this.options = {
+            componentName: 'Page', // Name of the generated React/Vue component
+            indent: '    ',
+            ...options
+        };
+        this.warnings = [];
+    }
+
+    toJSX(body) {
+        // A function component rendering the body; its classes move to a wrapping <div>
+        const root = body.getAttribute('class')
+            ? `<div className=${this.jsxString(body.getAttribute('class'))}>`
+            : '<>';
+        const lines = [
+            `export default function ${this.options.componentName}() {`,
+            `${this.options.indent}return (`,
+            `${this.options.indent.repeat(2)}${root}`,
+            ...this.jsxChildren(body, 3, false),
+            `${this.options.indent.repeat(2)}${root === '<>' ? '</>' : '</div>'}`,
+            `${this.options.indent});`,
+            '}',
+            ''
+        ];
+        this.warnSkipped(body);
+        return lines.join('\n');
+    }
+
+    jsxChildren(parent, depth, preformatted) {
+        const pad = this.options.indent.repeat(depth);
+        const children = [...parent.childNodes];
+        const lines = [];
+        
+        children.forEach((node, index) => {
+            if (node.nodeType === 1) {
+                lines.push(...this.jsxElement(node, depth, preformatted));
+            } else if (node.nodeType === 8) {
+                lines.push(`${pad}{/* ${node.data.trim().replace(/\*\//g, '* /')} */}`);
+            } else if (node.nodeType === 3) {
+                const text = this.jsxText(node.data, index === 0, index === children.length - 1, preformatted);
+                if (text) {
+                    lines.push(`${pad}${text}`);
+                }
+            }
+        });
+        
+        return lines;
+    }
+
+    jsxElement(element, depth, preformatted) {
+        const pad = this.options.indent.repeat(depth);
+        const tag = element.localName;
+        if (tag === 'script' || tag === 'style') {
+            return [];
+        }
+        
+        const props = [];
+        for (const { name, value } of element.attributes) {
+            const prop = this.jsxAttribute(element, name, value);
+            if (prop) {
+                props.push(prop);
+            }
+        }
+        if (tag === 'textarea' && element.textContent) {
+            props.push(`defaultValue=${this.jsxString(element.textContent)}`);
+        }
+        
+        const open = `<${tag}${props.map(prop => ` ${prop}`).join('')}`;
+        if (VOID_ELEMENTS.has(tag) || tag === 'textarea' || element.childNodes.length === 0) {
+            return [`${pad}${open} />`];
+        }
+        
+        const children = this.jsxChildren(element, depth + 1, preformatted || tag === 'pre');
+        if (children.length === 0) {
+            return [`${pad}${open} />`];
+        }
+        return [`${pad}${open}>`, ...children, `${pad}</${tag}>`];
+    }
+
+    jsxAttribute(element, name, value) {
+        if (/^on/i.test(name)) {
+            this.warnings.push(`Dropped inline ${name} handler on <${element.localName}>; JSX needs it as a function`);
+            return null;
+        }
+        if (name === 'style') {
+            return `style={${this.jsxStyle(value)}}`;
+        }
+        
+        const formField = ['input', 'select', 'textarea'].includes(element.localName);
+        let prop = JSX_ATTRIBUTES[name] || name;
+        if (formField && name === 'value') {
+            prop = 'defaultValue'; // A value without onChange would be read-only in React
+        } else if (formField && name === 'checked') {
+            prop = 'defaultChecked';
+        } else if (!/^(data|aria)-/.test(name) && /[-:]/.test(name)) {
+            // SVG and namespaced attributes: stroke-width -> strokeWidth, xlink:href -> xlinkHref
+            prop = name.replace(/[-:]([a-z])/g, (match, letter) => letter.toUpperCase());
+        }
+        
+        if (value === '' && BOOLEAN_ATTRIBUTES.has(name)) {
+            return prop;
+        }
+        return `${prop}=${this.jsxString(value)}`;
+    }
+
+    jsxStyle(style) {
+        // "margin-top: 4px" -> { marginTop: "4px" }; custom properties keep their name
+        const entries = style.split(';')
+            .map(declaration => declaration.split(/:(.*)/s).map(part => part.trim()))
+            .filter(([prop, value]) => prop && value)
+            .map(([prop, value]) => {
+                const key = prop.startsWith('--')
+                    ? JSON.stringify(prop)
+                    : prop.toLowerCase().replace(/^-ms-/, 'ms-').replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+                return `${key}: ${JSON.stringify(value)}`;
+            });
+        return `{ ${entries.join(', ')} }`;
+    }
+
+    jsxString(value) {
+        // Plain quotes unless the value needs escaping
+        return /["\\]/.test(value) || /[\n\r]/.test(value) ? `{${JSON.stringify(value)}}` : `"${value}"`;
+    }
+
+    jsxText(data, first, last, preformatted) {
+        // JSX drops whitespace that spans lines, so spaces HTML would render are made explicit
+        if (preformatted) {
+            return data ? `{${JSON.stringify(data)}}` : '';
+        }
+        if (!data.trim()) {
+            return first || last || /\n/.test(data) ? '' : '{" "}';
+        }
+        
+        const collapsed = data.trim().replace(/\s+/g, ' ');
+        const text = /[{}<>]|&[#\w]+;/.test(collapsed) ? `{${JSON.stringify(collapsed)}}` : collapsed;
+        const before = !first && /^\s/.test(data) ? '{" "}' : '';
+        const after = !last && /\s$/.test(data) ? '{" "}' : '';
+        return `${before}${text}${after}`;
+    }
+
+    toVue(body) {
+        // Vue 3 templates may have several roots; the body's classes move to a wrapping <div>
+        const clone = body.cloneNode(true);
+        for (const element of clone.querySelectorAll('script, style')) {
+            element.remove();
+        }
+        // Text that looks like an interpolation must render literally
+        const walker = clone.ownerDocument.createTreeWalker(clone, 4);
+        while (walker.nextNode()) {
+            if (walker.currentNode.data.includes('{{')) {
+                walker.currentNode.parentElement.setAttribute('v-pre', '');
+            }
+        }
+        
+        // The markup is kept as it was written: re-indenting would change <pre> contents
+        const inner = clone.innerHTML.replace(/^\s*\n/, '\n').replace(/\s*$/, '\n');
+        const template = clone.getAttribute('class')
+            ? `\n<div class="${this.escapeAttribute(clone.getAttribute('class'))}">${inner}</div>\n`
+            : inner;
+        
+        this.warnSkipped(body);
+        const indent = this.options.indent;
+        return `<template>${template}</template>\n\n<script>\nexport default {\n${indent}name: '${this.options.componentName}'\n};\n</script>\n`;
+    }
+
+    escapeAttribute(value) {
+        // As the HTML serializer writes a double-quoted attribute: font-["Open_Sans"] stays one value
+        return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    }
+
+    warnSkipped(body) {
+        const skipped = body.querySelectorAll('script, style').length;
+        if (skipped > 0) {
+            this.warnings.push(`Left out ${skipped} <script>/<style> elements; components load scripts and styles differently`);
+        }
+    }
+
+    patchSource(source, edits) {
+        // edits: [{ location, className, removeStyle }] with locations recorded when ids were
+        // assigned. Applied back to front so earlier offsets stay valid; nothing else in the file changes
+        const splices = [];
+        
+        for (const { location, className, removeStyle } of edits) {
+            if (removeStyle && location.styleAttribute) {
+                splices.push(this.removal(source, location.styleAttribute));
+            }
+            
+            const original = location.classAttribute;
+            const originalValue = original
+                ? source.slice(original.start, original.end).replace(/^[^=]*=\s*/, '').replace(/^(["'])([\s\S]*)\1$/, '$2')
+                : '';
+            const expressions = originalValue.match(TEMPLATE_EXPRESSION) || [];
+            const value = [...expressions, ...this.withoutExpressionTokens(className, expressions)].join(' ');
+            if (value === originalValue.trim()) {
+                continue;
+            }
+            
+            if (!original) {
+                if (value) {
+                    splices.push({ start: location.nameEnd, end: location.nameEnd, replacement: ` class=${this.quote(value, '"')}` });
+                }
+            } else if (!value) {
+                splices.push(this.removal(source, original));
+            } else {
+                const quote = source.slice(original.start, original.end).match(/=\s*(["'])/)?.[1] || '"';
+                const name = source.slice(original.start, original.end).match(/^[^=\s]+/)[0];
+                splices.push({ start: original.start, end: original.end, replacement: `${name}=${this.quote(value, quote)}` });
+            }
+        }
+        
+        let patched = source;
+        for (const { start, end, replacement } of splices.sort((a, b) => b.start - a.start || b.end - a.end)) {
+            patched = patched.slice(0, start) + replacement + patched.slice(end);
+        }
+        return patched;
+    }
+
+    removal(source, attribute) {
+        // Dropping an attribute takes the whitespace before it along
+        let start = attribute.start;
+        while (start > 0 && /\s/.test(source[start - 1])) {
+            start--;
+        }
+        return { start, end: attribute.end, replacement: '' };
+    }
+
+    withoutExpressionTokens(className, expressions) {
+        // The DOM saw `{{ $active ? 'on' : '' }}` as loose tokens; they're kept as one expression
+        const tokens = new Set(expressions.flatMap(expression => expression.split(/\s+/)));
+        return className.split(/\s+/).filter(token => token && !tokens.has(token));
+    }
+
+    quote(value, preferred) {
+        if (!value.includes(preferred)) {
+            return `${preferred}${value}${preferred}`;
+        }
+        return value.includes('"') && value.includes("'")
+            ? `"${value.replace(/"/g, '&quot;')}"`
+            : `${preferred === '"' ? "'" : '"'}${value}${preferred === '"' ? "'" : '"'}`;
+    }
+}
+
+module.exports = { MarkupWriter, OUTPUT_FORMATS };